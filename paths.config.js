@@ -3,6 +3,7 @@ import { dirname, resolve } from 'path';
 import { config } from 'dotenv';
 import { readdirSync, existsSync } from 'fs';
 import { join } from 'path';
+import { loadProjectConfig } from './plugins/project-config.js';
 
 // Charger les variables d'environnement
 config({ path: resolve(dirname(fileURLToPath(import.meta.url)), '.env') });
@@ -70,6 +71,16 @@ const WP_MU_PLUGIN_PATH = process.env.WP_MU_PLUGIN_PATH || 'wp-content/mu-plugin
 const THEME_NAME = process.env.THEME_NAME;
 const THEME_PATH_FULL = `${WP_THEMES_PATH}/${THEME_NAME}`;
 
+/**
+ * Configuration projet optionnelle (vite-wp.config.js dans le thème, sinon à la racine du bundler)
+ * Fusionnée par-dessus l'auto-détection : une valeur définie ici remplace la valeur détectée
+ */
+const projectConfig = await loadProjectConfig([resolve(WP_ROOT, THEME_PATH_FULL), __dirname]);
+const USER_CONFIG = projectConfig.config;
+
+// Fichiers de build : .min.js / .min.css, hashés compris (main.min.a1b2c3d4.js avec HASHED_FILENAMES)
+const MINIFIED_FILE_PATTERN = /\.min(\.[\w-]{8})?\.(js|css)$/;
+
 /**
  * Auto-détecte les dossiers d'assets en scannant le système de fichiers
  * Cherche RÉCURSIVEMENT les dossiers contenant des fichiers .js, .scss, .css
@@ -99,9 +110,13 @@ function detectAssetFolders() {
 
         try {
           const files = readdirSync(dirPath);
+
+          // Dossier de bloc Gutenberg : ses assets sont détectés via block.json, pas comme dossier source global
+          if (files.includes('block.json')) continue;
+
           const hasMatchingFiles = files.some(f => {
             const matchesExt = extensions.some(ext => f.endsWith(ext));
-            const isNotMinified = excludeMinified ? !f.endsWith('.min.js') && !f.endsWith('.min.css') : true;
+            const isNotMinified = excludeMinified ? !MINIFIED_FILE_PATTERN.test(f) : true;
             return matchesExt && isNotMinified;
           });
 
@@ -128,8 +143,8 @@ function detectAssetFolders() {
 
     const sourceFolders = new Set();
 
-    // Chercher dossier contenant .js (récursif, max 3 niveaux)
-    const jsFolder = findFolderWithExtension(themePath, ['.js'], true);
+    // Chercher dossier contenant .js/.ts/.tsx/.jsx (récursif, max 3 niveaux)
+    const jsFolder = findFolderWithExtension(themePath, ['.js', '.ts', '.tsx', '.jsx'], true);
     if (jsFolder) {
       folders.js = jsFolder;
       sourceFolders.add(jsFolder.toLowerCase());
@@ -158,7 +173,9 @@ function detectAssetFolders() {
     const commonIgnoreFolders = ['node_modules', 'vendor', 'images', 'fonts', 'inc', 'includes', 'templates', 'template-parts', 'languages', 'acf-json'];
 
     // Liste des noms de dossiers qui indiquent clairement un dossier de build
-    const buildFolderPatterns = ['dist', 'build', 'optimized', 'optimised', 'compiled', 'bundle', 'assets', 'output', 'public'];
+    // Surchargeable via buildFolderPatterns dans vite-wp.config.js
+    const buildFolderPatterns = USER_CONFIG.buildFolderPatterns
+      || ['dist', 'build', 'optimized', 'optimised', 'compiled', 'bundle', 'assets', 'output', 'public'];
 
     // Chercher un dossier qui correspond aux patterns de build
     for (const dir of dirs) {
@@ -189,7 +206,7 @@ function detectAssetFolders() {
         const dirPath = join(themePath, dir);
         try {
           const files = readdirSync(dirPath);
-          if (files.some(f => f.endsWith('.min.js') || f.endsWith('.min.css'))) {
+          if (files.some(f => MINIFIED_FILE_PATTERN.test(f))) {
             folders.dist = dir;
             break;
           }
@@ -311,6 +328,9 @@ const ASSET_FOLDERS = {
   includes: detectedStaticFolders.includes,
   includesDest: detectedStaticFolders.includesDest,
   publicDir: detectPublicDir(), // Nouveau: dossier parent pour publicDir de Vite
+
+  // Dossiers imposés par vite-wp.config.js (prioritaires sur la détection)
+  ...USER_CONFIG.folders,
 };
 
 export const PATHS = {
@@ -351,33 +371,104 @@ export const PATHS = {
   viteClientUrl: `http://${process.env.VITE_HOST || 'localhost'}:${process.env.VITE_PORT || '5173'}/@vite/client`,
 };
 
+/**
+ * Change le port du serveur Vite (repli du port-killer quand VITE_PORT est pris)
+ * À appeler avant la génération du MU-plugin : VITE_URL y est écrit en dur
+ */
+export function setVitePort(port) {
+  PATHS.vitePort = port;
+  PATHS.viteUrl = `http://${PATHS.viteHost}:${port}`;
+  PATHS.viteClientUrl = `${PATHS.viteUrl}/@vite/client`;
+}
+
+/**
+ * Configuration projet chargée depuis vite-wp.config.js
+ * - config : options validées ({} si pas de fichier)
+ * - file : chemin du fichier (null si absent)
+ * - hash : MD5 du contenu (invalide le cache des assets détectés quand il change)
+ */
+export const PROJECT_CONFIG = projectConfig;
+
+/**
+ * Indique si un plugin est activé
+ * Priorité : variable .env (si définie) → plugins de vite-wp.config.js → valeur par défaut
+ */
+export function isPluginEnabled(name, envVar = null, defaultValue = true) {
+  if (envVar && process.env[envVar] !== undefined) {
+    return process.env[envVar] !== 'false';
+  }
+
+  return USER_CONFIG.plugins?.[name] ?? defaultValue;
+}
+
 /**
  * Active le reload PHP si configuré (défaut: true)
  */
-export const WATCH_PHP = process.env.WATCH_PHP !== 'false';
+export const WATCH_PHP = isPluginEnabled('watchPhp', 'WATCH_PHP');
 
 /**
  * Active le HMR Body Reset pour JavaScript si configuré (défaut: true)
  */
-export const HMR_BODY_RESET = process.env.HMR_BODY_RESET !== 'false';
+export const HMR_BODY_RESET = isPluginEnabled('hmrBodyReset', 'HMR_BODY_RESET');
+
+/**
+ * Body re-téléchargé depuis WordPress à chaque reset JS au lieu du HTML capturé au chargement (défaut: false)
+ */
+export const HMR_FRESH_BODY = isPluginEnabled('hmrFreshBody', 'HMR_FRESH_BODY', false);
+
+/**
+ * Morph de la page au lieu du reload complet sur changement PHP (défaut: false)
+ * Le client re-télécharge l'URL courante et applique les différences (scripts/hmr-php-morph.js)
+ */
+export const PHP_MORPH = isPluginEnabled('phpMorph', 'PHP_MORPH', false);
+
+/**
+ * Noms de fichiers hashés en build + manifest.json et helper PHP (défaut: false)
+ * Les enqueues gardent les noms sans hash, WordPress sert le fichier hashé (plugins/hashed-filenames.plugin.js)
+ */
+export const HASHED_FILENAMES = isPluginEnabled('hashedFilenames', 'HASHED_FILENAMES', false);
+
+/**
+ * Traitement des libs .min.js importées par les sources en build (défaut: copy)
+ * - copy : copiées dans le build avec leur arborescence, imports réécrits en chemins relatifs
+ * - concat : ajoutées en tête du fichier .min.js qui les importe (plugins/copy-minified-libs.plugin.js)
+ */
+export const MINIFIED_LIBS = USER_CONFIG.minifiedLibs || 'copy';
+
+/**
+ * Mode de développement (défaut: mu-plugin)
+ * - mu-plugin : WordPress servi normalement, le MU-plugin généré injecte les sources Vite
+ * - proxy : WordPress servi à travers Vite (PATHS.viteUrl), HTML réécrit à la volée, aucun MU-plugin
+ */
+export const DEV_MODE = process.env.DEV_MODE === 'proxy' ? 'proxy' : 'mu-plugin';
 
 /**
  * Active l'auto-incrément de la version du thème à la fermeture du mode dev (défaut: true)
+ * Reste actif avec versions.php : tant que le thème ne le charge pas, la version du thème est son seul cache busting
+ */
+export const AUTO_INCREMENT_VERSION = isPluginEnabled('autoIncrementVersion', 'AUTO_INCREMENT_VERSION');
+
+/**
+ * Extensions des sources JavaScript reconnues (construites en .min.js)
+ * Ordre = priorité quand plusieurs sources portent le même nom (TypeScript avant le JS éventuellement compilé à côté)
  */
-export const AUTO_INCREMENT_VERSION = process.env.AUTO_INCREMENT_VERSION !== 'false';
+export const JS_SOURCE_EXTENSIONS = ['.ts', '.tsx', '.jsx', '.js'];
 
 /**
  * Liste des fichiers PHP à scanner pour détecter les enqueues
  * Par défaut: ['functions.php']
  * Exemple: ['functions.php', 'inc/enqueue.php', 'lib/assets.php']
+ * Les fichiers inclus depuis ces fichiers (require, include, get_template_part...) sont suivis automatiquement
+ * Priorité : VITE_PHP_FILES (.env) → phpFiles de vite-wp.config.js → functions.php
  */
 export const PHP_FILES_TO_SCAN = process.env.VITE_PHP_FILES
   ? process.env.VITE_PHP_FILES.split(',').map(f => f.trim())
-  : ['functions.php'];
+  : USER_CONFIG.phpFiles || ['functions.php'];
 
 /**
  * Dossier de destination du build
  * Null pour utiliser la détection automatique depuis functions.php
+ * Imposé par folders.dist dans vite-wp.config.js
  */
-export const BUILD_FOLDER = null;
+export const BUILD_FOLDER = USER_CONFIG.folders?.dist || null;
 
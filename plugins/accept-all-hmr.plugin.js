@@ -6,24 +6,44 @@
  *
  * Ainsi, le script HMR du bundler peut intercepter les changements via vite:beforeUpdate
  * au lieu que Vite décide de faire un reload complet
+ *
+ * Sert aussi /__vite-wp/hmr-config, lu par hmr-body-reset.js (options de vite-wp.config.js) :
+ * - boundaries : correspondances module → zones [data-hmr-boundary] (hmrBoundaries)
+ * - statefulAttributes : attributs d'état conservés au reset (hmrStatefulAttributes, null = défaut du client)
  */
 
-import { PATHS } from '../paths.config.js';
+import { PATHS, PROJECT_CONFIG } from '../paths.config.js';
 import { existsSync, readFileSync } from 'fs';
 import { resolve } from 'path';
 import dotenv from 'dotenv';
 
 /**
- * Recharge HMR_BODY_RESET depuis .env
+ * Recharge HMR_BODY_RESET depuis .env (sinon plugins.hmrBodyReset de vite-wp.config.js)
  */
 function isHMRBodyResetEnabled() {
+  const defaultValue = PROJECT_CONFIG.config.plugins?.hmrBodyReset ?? true;
   const envPath = resolve(PATHS.bundlerRoot, '.env');
   if (!existsSync(envPath)) {
-    return true; // Valeur par défaut
+    return defaultValue;
   }
 
   const envConfig = dotenv.parse(readFileSync(envPath, 'utf8'));
-  return envConfig.HMR_BODY_RESET !== 'false';
+  return envConfig.HMR_BODY_RESET === undefined ? defaultValue : envConfig.HMR_BODY_RESET !== 'false';
+}
+
+/**
+ * Correspondances module → zones HMR, chemins absolus normalisés (sans / initial, comme les URLs /@fs/)
+ * Exemple : { 'src/js/slider.js': 'slider' } → { 'var/www/.../src/js/slider.js': ['slider'] }
+ */
+function getHmrBoundaries() {
+  const boundaries = {};
+
+  for (const [modulePath, names] of Object.entries(PROJECT_CONFIG.config.hmrBoundaries || {})) {
+    const absolutePath = resolve(PATHS.themePath, modulePath).replace(/\\/g, '/').replace(/^\//, '');
+    boundaries[absolutePath] = Array.isArray(names) ? names : [names];
+  }
+
+  return boundaries;
 }
 
 export function acceptAllHMRPlugin() {
@@ -31,6 +51,18 @@ export function acceptAllHMRPlugin() {
     name: 'accept-all-hmr',
     enforce: 'post', // Appliquer après les autres transformations
 
+    configureServer(server) {
+      // Middleware ajouté avant ceux de Vite (CORS compris) : en-tête posé ici, la page est servie par WordPress
+      server.middlewares.use('/__vite-wp/hmr-config', (req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.end(JSON.stringify({
+          boundaries: getHmrBoundaries(),
+          statefulAttributes: PROJECT_CONFIG.config.hmrStatefulAttributes || null,
+        }));
+      });
+    },
+
     transform(code, id) {
       // Vérifier si HMR_BODY_RESET est activé dans .env
       // Si désactivé, on ne transforme rien et Vite fera un full reload natif
@@ -41,13 +73,13 @@ export function acceptAllHMRPlugin() {
       // Accepter le HMR uniquement pour les fichiers JS du thème (non minifiés)
       // Critères:
       // - Dans /themes/ (donc pas node_modules, ni bundler s'il est hors themes)
-      // - Fichier .js mais pas .min.js (donc pas de libs minifiées)
+      // - Fichier .js, .jsx, .ts ou .tsx mais pas .min.js (donc pas de libs minifiées)
       // - Pas dans le dossier du bundler (pour les scripts HMR du bundler)
       const isThemeJS =
         id.includes('/themes/') &&
         !id.includes(PATHS.bundlerRoot) &&
         !id.endsWith('.min.js') &&
-        id.endsWith('.js');
+        /\.(jsx?|tsx?)$/.test(id);
 
       if (!isThemeJS) {
         return null; // Ne pas transformer
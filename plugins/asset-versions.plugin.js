@@ -0,0 +1,117 @@
+import { createHash } from 'crypto';
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { resolve } from 'path';
+import { getUnhashedFileName } from './hashed-filenames.plugin.js';
+
+/**
+ * Plugin Vite pour les versions des assets (versions.php)
+ *
+ * Écrit dans le dossier de build un tableau PHP fichier → hash court du contenu,
+ * à passer en argument $ver des enqueues à la place de la version globale du thème :
+ * après un déploiement, le navigateur ne re-télécharge que les fichiers modifiés.
+ *
+ * - Entrées JS : hash du code et des chunks partagés importés (même valeur que name.min.asset.php)
+ * - CSS : hash du fichier
+ *
+ * Chaque passe (principale et scripts classiques) complète versions.json (même contenu, relu par la passe suivante),
+ * puis régénère versions.php.
+ */
+
+const VERSIONS_FILE = 'versions.php';
+const VERSIONS_DATA_FILE = 'versions.json';
+
+// Longueur des versions (même format que @wordpress/scripts)
+const VERSION_LENGTH = 20;
+
+/**
+ * Version d'une entrée JS : son code et celui des chunks partagés qu'elle importe
+ * Un chunk modifié change la version de toutes les entrées qui l'importent
+ * @param {Object} chunk - Chunk Rollup (entrée)
+ * @param {Object} bundle - Bundle Rollup complet
+ */
+export function getChunkVersion(chunk, bundle) {
+  const hash = createHash('md5');
+  const visitedChunks = new Set();
+
+  const visitChunk = (currentChunk) => {
+    if (visitedChunks.has(currentChunk.fileName)) return;
+    visitedChunks.add(currentChunk.fileName);
+    hash.update(currentChunk.code);
+
+    for (const importedFile of currentChunk.imports) {
+      if (bundle[importedFile]?.type === 'chunk') visitChunk(bundle[importedFile]);
+    }
+  };
+  visitChunk(chunk);
+
+  return hash.digest('hex').slice(0, VERSION_LENGTH);
+}
+
+/**
+ * Versions déjà écrites par une passe précédente (vide si absent ou illisible)
+ */
+function readVersions(versionsDataPath) {
+  if (!existsSync(versionsDataPath)) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(readFileSync(versionsDataPath, 'utf-8'));
+  } catch (err) {
+    console.warn(`   ⚠ ${VERSIONS_DATA_FILE} illisible, régénération`);
+    return {};
+  }
+}
+
+/**
+ * Chaîne PHP entre apostrophes (\\ et ' échappés)
+ */
+function toPhpString(value) {
+  return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+function generateVersionsPhp(versions) {
+  const lines = Object.entries(versions)
+    .map(([fileName, version]) => `  ${toPhpString(fileName)} => ${toPhpString(version)},`);
+
+  return `<?php
+/**
+ * Versions des fichiers du build (hash du contenu), à passer en $ver aux enqueues
+ *
+ * Ce fichier est GÉNÉRÉ AUTOMATIQUEMENT par vite-wp-bundler (npm run build).
+ * Ne pas modifier manuellement - vos changements seront écrasés.
+ */
+
+return array(
+${lines.join('\n')}
+);
+`;
+}
+
+export function assetVersionsPlugin() {
+  return {
+    name: 'asset-versions',
+    apply: 'build',
+
+    // Hook: fichiers écrits (CSS compris), compléter versions.php avec ceux de cette passe
+    writeBundle(options, bundle) {
+      const versionsDataPath = resolve(options.dir, VERSIONS_DATA_FILE);
+      const versions = readVersions(versionsDataPath);
+
+      for (const file of Object.values(bundle)) {
+        // Clé = nom référencé par les enqueues (sans hash avec HASHED_FILENAMES)
+        const fileName = getUnhashedFileName(file.fileName);
+
+        if (file.type === 'chunk' && file.isEntry) {
+          versions[fileName] = getChunkVersion(file, bundle);
+        } else if (file.type === 'asset' && file.fileName.endsWith('.css')) {
+          versions[fileName] = createHash('md5').update(file.source).digest('hex').slice(0, VERSION_LENGTH);
+        }
+      }
+
+      const sortedVersions = Object.fromEntries(Object.entries(versions).sort(([a], [b]) => a.localeCompare(b)));
+      writeFileSync(versionsDataPath, JSON.stringify(sortedVersions, null, 2) + '\n', 'utf-8');
+      writeFileSync(resolve(options.dir, VERSIONS_FILE), generateVersionsPhp(sortedVersions), 'utf-8');
+    }
+  };
+}
@@ -0,0 +1,72 @@
+import { build } from 'vite';
+import { resolve } from 'path';
+import { PATHS } from '../paths.config.js';
+
+/**
+ * Plugin Vite pour construire les scripts classiques (wp_enqueue_script) en IIFE
+ *
+ * Un script classique ne peut contenir ni import ni export : il doit être autonome.
+ * Rollup ne produit pas plusieurs entrées IIFE dans une même passe (pas de code-splitting),
+ * donc la passe principale construit les modules ES et les styles, puis ce plugin relance
+ * une passe Vite par script classique une fois le build principal terminé.
+ *
+ * Chaque passe relit vite.config.js avec VITE_WP_CLASSIC_ENTRY pour ne construire que son entrée.
+ *
+ * Build continu (VITE_WP_WATCH) : les passes sont lancées une seule fois, en watch, après le premier
+ * build principal. Chacune se reconstruit ensuite seule quand ses sources changent, et s'arrête
+ * avec le watcher principal.
+ *
+ * @param {string[]} entryNames - Noms des entrées Rollup classiques à construire
+ * @param {Object} buildStructure - Structure du dossier de build détectée par la passe principale
+ */
+export function buildClassicScriptsPlugin(entryNames, buildStructure) {
+  // Watchers des passes classiques (build continu uniquement)
+  let classicWatchers = null;
+
+  return {
+    name: 'build-classic-scripts',
+    apply: 'build',
+
+    // Hook: après que la passe principale a écrit ses fichiers
+    async closeBundle() {
+      // Build continu : passes déjà en watch, rien à relancer après une reconstruction de la passe principale
+      if (classicWatchers) {
+        return;
+      }
+
+      const watchMode = process.env.VITE_WP_WATCH === '1';
+      if (watchMode) {
+        classicWatchers = [];
+      }
+
+      // Le dossier de build vient d'être vidé : transmettre la structure détectée avant le build
+      process.env.VITE_WP_BUILD_STRUCTURE = JSON.stringify(buildStructure);
+
+      for (const entryName of entryNames) {
+        process.env.VITE_WP_CLASSIC_ENTRY = entryName;
+
+        try {
+          const result = await build({
+            configFile: resolve(PATHS.bundlerRoot, 'vite.config.js'),
+          });
+
+          if (watchMode) {
+            classicWatchers.push(result);
+          }
+        } finally {
+          delete process.env.VITE_WP_CLASSIC_ENTRY;
+        }
+      }
+
+      delete process.env.VITE_WP_BUILD_STRUCTURE;
+    },
+
+    // Hook: arrêt du build continu (entrées modifiées, Ctrl+C)
+    async closeWatcher() {
+      if (classicWatchers) {
+        await Promise.all(classicWatchers.map(watcher => watcher.close()));
+        classicWatchers = null;
+      }
+    }
+  };
+}
@@ -1,29 +1,49 @@
 import { existsSync, readFileSync, writeFileSync, mkdirSync, rmSync } from 'fs';
 import { createHash } from 'crypto';
 import { resolve, dirname } from 'path';
-import { PATHS, PHP_FILES_TO_SCAN } from '../paths.config.js';
+import { PATHS, PHP_FILES_TO_SCAN, PROJECT_CONFIG } from '../paths.config.js';
 
 /**
  * Gestionnaire de cache persistent pour les assets détectés
- * Cache invalidé si les fichiers PHP changent
+ * Cache invalidé si les fichiers PHP, les block.json ou vite-wp.config.js changent
  */
 
 const CACHE_DIR = resolve(PATHS.bundlerRoot, '.cache');
 const CACHE_FILE = resolve(CACHE_DIR, 'assets-cache.json');
 
+// Version du format des assets en cache : à incrémenter quand la détection ajoute des champs
+const CACHE_VERSION = 5;
+
+/**
+ * Liste des fichiers PHP couverts par le hash :
+ * fichiers configurés + fichiers atteints via require/include lors du dernier scan
+ */
+function getHashedPhpFiles(scannedFiles = []) {
+  return [...new Set([...PHP_FILES_TO_SCAN, ...scannedFiles])];
+}
+
+/**
+ * Liste des block.json couverts par le hash :
+ * ceux détectés lors du dernier scan + ceux présents dans le thème (un block.json ajouté invalide le cache)
+ */
+function getHashedBlockFiles(cachedBlockFiles = [], themeBlockFiles = []) {
+  return [...new Set([...cachedBlockFiles, ...themeBlockFiles])].sort();
+}
+
 /**
- * Calcule un hash MD5 du contenu de tous les fichiers PHP scannés
+ * Calcule un hash MD5 du contenu de tous les fichiers scannés (PHP et block.json)
+ * Un fichier supprimé change aussi le hash (il disparaît de la liste)
  */
-function calculatePhpFilesHash() {
+function calculateFilesHash(files) {
   const hashes = [];
 
-  for (const phpFile of PHP_FILES_TO_SCAN) {
-    const phpFilePath = resolve(PATHS.themePath, phpFile);
+  for (const file of files) {
+    const filePath = resolve(PATHS.themePath, file);
 
-    if (existsSync(phpFilePath)) {
-      const content = readFileSync(phpFilePath, 'utf-8');
+    if (existsSync(filePath)) {
+      const content = readFileSync(filePath, 'utf-8');
       const hash = createHash('md5').update(content).digest('hex');
-      hashes.push(`${phpFile}:${hash}`);
+      hashes.push(`${file}:${hash}`);
     }
   }
 
@@ -67,17 +87,22 @@ function writeCache(data) {
 /**
  * Récupère les assets depuis le cache ou retourne null si invalide
  * Retourne aussi l'ancien buildFolder s'il existe
+ * @param {string[]} themeBlockFiles - block.json présents dans le thème (relatifs au thème)
  */
-export function getCachedAssets() {
-  const currentHash = calculatePhpFilesHash();
+export function getCachedAssets(themeBlockFiles = []) {
   const cache = readCache();
 
   if (!cache) {
     return { assets: null, oldBuildFolder: null };
   }
 
-  // Vérifier si le hash correspond
-  if (cache.hash !== currentHash) {
+  const currentHash = calculateFilesHash([
+    ...getHashedPhpFiles(cache.phpFiles),
+    ...getHashedBlockFiles(cache.blockFiles, themeBlockFiles),
+  ]);
+
+  // Vérifier si le hash (et le format, et la configuration projet) correspond
+  if (cache.hash !== currentHash || cache.version !== CACHE_VERSION || (cache.configHash ?? null) !== PROJECT_CONFIG.hash) {
     // console.log('Fichiers PHP modifiés, régénération du cache...');
     // console.log('  Hash ancien:', cache.hash);
     // console.log('  Hash nouveau:', currentHash);
@@ -90,28 +115,53 @@ export function getCachedAssets() {
 
 /**
  * Sauvegarde les assets dans le cache
+ * @param {Object} assets - Assets détectés
+ * @param {string[]} scannedFiles - Fichiers PHP analysés (configurés + inclus)
+ * @param {string[]} blockFiles - block.json analysés et présents dans le thème
  */
-export function saveCachedAssets(assets) {
-  const currentHash = calculatePhpFilesHash();
+export function saveCachedAssets(assets, scannedFiles = [], blockFiles = []) {
+  const phpFiles = getHashedPhpFiles(scannedFiles);
+  const hashedBlockFiles = getHashedBlockFiles(blockFiles);
+  const currentHash = calculateFilesHash([...phpFiles, ...hashedBlockFiles]);
 
   const cacheData = {
+    version: CACHE_VERSION,
     hash: currentHash,
+    configHash: PROJECT_CONFIG.hash,
     timestamp: new Date().toISOString(),
+    phpFiles,
+    blockFiles: hashedBlockFiles,
     assets: assets
   };
 
   writeCache(cacheData);
 }
 
+/**
+ * Fichiers PHP couverts par le cache actuel (configurés + inclus lors du dernier scan)
+ * Chemins relatifs au thème : ce sont les fichiers dont un changement modifie la détection
+ */
+export function getScannedPhpFiles() {
+  return getHashedPhpFiles(readCache()?.phpFiles || []);
+}
+
+/**
+ * block.json couverts par le cache actuel (relatifs au thème)
+ */
+export function getScannedBlockFiles() {
+  return readCache()?.blockFiles || [];
+}
+
 /**
  * Invalide manuellement le cache
+ * @param {Object} options - silent: pas de log (régénération à chaud, qui affiche son propre diff)
  */
-export async function invalidateCache() {
+export async function invalidateCache({ silent = false } = {}) {
   if (existsSync(CACHE_FILE)) {
     try {
       const { unlinkSync } = await import('fs');
       unlinkSync(CACHE_FILE);
-      console.log('Cache invalidé');
+      if (!silent) console.log('Cache invalidé');
     } catch (error) {
       console.warn('Impossible de supprimer le cache:', error.message);
     }
@@ -1,88 +1,240 @@
 import { copyFileSync, mkdirSync, existsSync, readdirSync, statSync, readFileSync } from 'fs';
-import { resolve, basename, join } from 'path';
+import { resolve, relative, dirname, join, isAbsolute } from 'path';
+import MagicString from 'magic-string';
 import { PATHS } from '../paths.config.js';
 
 /**
- * Plugin Rollup pour copier les fichiers .min.js dans le dossier de build
- * Scanne récursivement le dossier JS source pour trouver tous les .min.js
+ * Fonction récursive pour trouver tous les .min.js
  */
-export function copyMinifiedLibsPlugin() {
-  return {
-    name: 'copy-minified-libs',
+function findMinifiedFiles(dir) {
+  const files = [];
 
-    // Hook: après que tous les fichiers soient écrits sur le disque
-    closeBundle() {
-      // Lire le buildFolder depuis le cache assets
-      const cacheFile = resolve(PATHS.bundlerRoot, '.cache/assets-cache.json');
-      let buildFolder = PATHS.assetFolders.dist; // Fallback: détection dynamique depuis paths.config.js
+  try {
+    const items = readdirSync(dir);
 
-      try {
-        const cache = JSON.parse(readFileSync(cacheFile, 'utf-8'));
-        if (cache.assets?.buildFolder) {
-          buildFolder = cache.assets.buildFolder.replace(/^\//, ''); // Retirer le / initial
-        }
-      } catch (err) {
-        console.warn('  ⚠ Impossible de lire le cache, utilisation du fallback:', buildFolder);
+    for (const item of items) {
+      const fullPath = join(dir, item);
+      const stat = statSync(fullPath);
+
+      if (stat.isDirectory()) {
+        // Récursif dans les sous-dossiers
+        files.push(...findMinifiedFiles(fullPath));
+      } else if (item.endsWith('.min.js')) {
+        files.push(fullPath);
       }
+    }
+  } catch (err) {
+    // Ignorer les erreurs de lecture
+  }
 
-      const jsSourcePath = resolve(PATHS.themePath, PATHS.assetFolders.js);
-      const buildPath = resolve(PATHS.themePath, buildFolder);
-      const jsOutputPath = resolve(buildPath, 'js');
+  return files;
+}
 
-      // Créer le dossier de sortie si nécessaire
-      if (!existsSync(jsOutputPath)) {
-        mkdirSync(jsOutputPath, { recursive: true });
-      }
+/**
+ * Lib minifiée du thème (les .min.js de node_modules restent gérés par Rollup)
+ */
+function isThemeMinifiedLib(id) {
+  const normalizedId = id.replace(/\\/g, '/');
+  return normalizedId.endsWith('.min.js') && !normalizedId.includes('/node_modules/') && isAbsolute(id);
+}
 
-      // Fonction récursive pour trouver tous les .min.js
-      function findMinifiedFiles(dir) {
-        const files = [];
+/**
+ * Chemin de la lib copiée, relatif au dossier de build (arborescence source conservée)
+ * Ex: js/_libs/swiper.min.js → js/_libs/swiper.min.js (plate : _libs/swiper.min.js)
+ * Hors du dossier JS : chemin relatif au thème (ex: blocks/hero/vendor/lottie.min.js)
+ */
+function getLibFileName(libPath, isFlat) {
+  const fromJsFolder = relative(resolve(PATHS.themePath, PATHS.assetFolders.js), libPath).replace(/\\/g, '/');
 
-        try {
-          const items = readdirSync(dir);
+  if (!fromJsFolder.startsWith('..') && !isAbsolute(fromJsFolder)) {
+    return isFlat ? fromJsFolder : `js/${fromJsFolder}`;
+  }
 
-          for (const item of items) {
-            const fullPath = join(dir, item);
-            const stat = statSync(fullPath);
+  return relative(PATHS.themePath, libPath).replace(/\\/g, '/');
+}
 
-            if (stat.isDirectory()) {
-              // Récursif dans les sous-dossiers
-              files.push(...findMinifiedFiles(fullPath));
-            } else if (item.endsWith('.min.js')) {
-              files.push(fullPath);
-            }
-          }
-        } catch (err) {
-          // Ignorer les erreurs de lecture
+/**
+ * Chemin d'import d'un fichier du build depuis un chunk (ex: ../_libs/swiper.min.js)
+ */
+function getImportPath(chunkFileName, targetFileName) {
+  const importPath = relative(dirname(chunkFileName), targetFileName).replace(/\\/g, '/');
+  return importPath.startsWith('.') ? importPath : `./${importPath}`;
+}
+
+/**
+ * Contenu d'une lib à concaténer (commentaires de licence conservés, sourcemap retirée)
+ */
+function readLibCode(libPath) {
+  return readFileSync(libPath, 'utf-8')
+    .replace(/\/\/# sourceMappingURL=.*/g, '')
+    .replace(/\/\*# sourceMappingURL=.*\*\//g, '')
+    .trim();
+}
+
+/**
+ * Import avec liaisons d'un .min.js relatif (import Swiper from, import { x } from, import * as x from)
+ */
+const BOUND_LIB_IMPORT_PATTERN = /import\s*(?:[\w$]+|\{[^}]*\}|\*\s*as\s+[\w$]+)(?:\s*,\s*(?:\{[^}]*\}|\*\s*as\s+[\w$]+))?\s*from\s*['"](\.{1,2}\/[^'"]+\.min\.js)['"]/;
+
+/**
+ * Plugin Rollup pour les libs .min.js importées par les sources du thème
+ *
+ * Deux modes (option minifiedLibs de vite-wp.config.js) :
+ * - copy (défaut) : libs externes, seules celles importées sont copiées dans le build
+ *   avec leur arborescence (js/_libs/swiper.min.js → dist/js/_libs/swiper.min.js),
+ *   les imports sont réécrits en chemins relatifs depuis chaque fichier bundlé.
+ *   Un IIFE ne pouvant pas avoir d'import, les scripts classiques bundlent la lib (mode interne bundle) :
+ *   jamais tree-shakée (une lib sans export, var MyLib = ..., disparaîtrait du build),
+ *   mais ses déclarations restent locales au wrapper IIFE
+ * - concat : dans les scripts classiques (IIFE), libs ajoutées en tête du fichier qui les importe,
+ *   dans l'ordre des imports, après la minification (code et commentaires de licence intacts,
+ *   pas de requête en plus). Hors du wrapper IIFE, la lib s'exécute comme un <script> classique :
+ *   this === window, ses var/function globales restent globales.
+ *   Les modules ES gardent le mode copy (vite.config.js) : en tête d'un module, this vaut undefined
+ *   et les déclarations restent locales au module.
+ *
+ * Build continu (npm run build:watch) : en mode copy, les .min.js sont surveillés par Rollup
+ * et seuls ceux modifiés depuis la dernière copie sont recopiés.
+ *
+ * @param {Object} options
+ * @param {'copy'|'concat'|'bundle'} options.mode - Mode de traitement des libs (concat et bundle : passes IIFE uniquement)
+ * @param {boolean} options.isFlat - Structure de build plate (pas de sous-dossier js/)
+ */
+export function copyMinifiedLibsPlugin({ mode = 'copy', isFlat = false } = {}) {
+  // Date de modification des sources lors de la dernière copie (par fichier de destination)
+  const copiedFiles = new Map();
+
+  // Libs importées par la passe en cours (source → chemin relatif au dossier de build)
+  const referencedLibs = new Map();
+
+  if (mode === 'bundle') {
+    return {
+      name: 'copy-minified-libs',
+
+      // Hook: lib bundlée dans l'IIFE, conservée même sans export utilisé (code global, polyfills...)
+      transform(code, id) {
+        return isThemeMinifiedLib(id) ? { moduleSideEffects: 'no-treeshake' } : null;
+      },
+    };
+  }
+
+  if (mode === 'concat') {
+    return {
+      name: 'copy-minified-libs',
+
+      // Hook: une lib concaténée n'a pas d'export, seul un import sans liaison a du sens
+      transform(code, id) {
+        if (isThemeMinifiedLib(id) || !/\.(m?js|jsx?|tsx?)$/.test(id)) {
+          return null;
         }
 
-        return files;
-      }
+        const boundImport = code.match(BOUND_LIB_IMPORT_PATTERN);
+        if (boundImport) {
+          throw new Error(
+            `❌ ${relative(PATHS.themePath, id)} : "${boundImport[1]}" est concaténée (minifiedLibs: 'concat'), ` +
+            `importer la lib sans liaison (import '${boundImport[1]}';) et utiliser son global (window.Swiper...)`
+          );
+        }
+
+        return null;
+      },
+
+      // Hook: la lib entre dans le graphe comme module vide (son code est ajouté au rendu)
+      load(id) {
+        if (!isThemeMinifiedLib(id)) {
+          return null;
+        }
+
+        // Fichier non lu par Rollup : à surveiller explicitement (build continu)
+        this.addWatchFile(id);
+        return { code: '', map: null, moduleSideEffects: 'no-treeshake' };
+      },
+
+      // Hook: après la minification, ajouter les libs en tête du fichier (ordre d'exécution des modules)
+      // Sourcemap du chunk décalée des lignes ajoutées
+      renderChunk: {
+        order: 'post',
+        handler(code, chunk) {
+          const libs = chunk.moduleIds.filter(isThemeMinifiedLib);
+          if (libs.length === 0) {
+            return null;
+          }
+
+          const libsCode = libs.map(libPath => {
+            try {
+              return readLibCode(libPath);
+            } catch (err) {
+              throw new Error(`❌ Lecture de ${relative(PATHS.themePath, libPath)} impossible : ${err.message}`);
+            }
+          });
 
-      // Trouver tous les .min.js dans le dossier source
-      const minifiedFiles = findMinifiedFiles(jsSourcePath);
+          const magicString = new MagicString(code);
+          magicString.prepend(`${libsCode.join('\n')}\n`);
 
-      if (minifiedFiles.length === 0) {
+          return { code: magicString.toString(), map: magicString.generateMap({ hires: true }) };
+        },
+      },
+    };
+  }
+
+  return {
+    name: 'copy-minified-libs',
+
+    // Hook: build continu, un .min.js modifié relance le build (libs externes, hors du graphe Rollup)
+    buildStart() {
+      referencedLibs.clear();
+
+      if (!this.meta.watchMode) {
         return;
       }
 
-      // Dédupliquer par nom de fichier (garder le premier trouvé)
-      const uniqueFiles = new Map();
-      for (const filePath of minifiedFiles) {
-        const fileName = basename(filePath);
-        if (!uniqueFiles.has(fileName)) {
-          uniqueFiles.set(fileName, filePath);
+      for (const filePath of findMinifiedFiles(resolve(PATHS.themePath, PATHS.assetFolders.js))) {
+        this.addWatchFile(filePath);
+      }
+    },
+
+    // Hook: réécrire les imports des libs (chemin absolu laissé par Rollup) en chemins relatifs au chunk
+    renderChunk(code, chunk) {
+      const libs = new Set(
+        chunk.moduleIds.flatMap(id => this.getModuleInfo(id)?.importedIds || []).filter(isThemeMinifiedLib)
+      );
+
+      if (libs.size === 0) {
+        return null;
+      }
+
+      const magicString = new MagicString(code);
+
+      for (const libPath of libs) {
+        const libFileName = getLibFileName(libPath, isFlat);
+        referencedLibs.set(libPath, libFileName);
+
+        const importPath = getImportPath(chunk.fileName, libFileName);
+        for (const quote of ["'", '"']) {
+          magicString.replaceAll(`${quote}${libPath}${quote}`, `${quote}${importPath}${quote}`);
         }
       }
 
-      // Copier chaque fichier unique
-      for (const [fileName, sourcePath] of uniqueFiles) {
-        const destPath = resolve(jsOutputPath, fileName);
+      return { code: magicString.toString(), map: magicString.generateMap({ hires: true }) };
+    },
+
+    // Hook: fichiers du build écrits, copier les libs importées
+    writeBundle(options) {
+      for (const [sourcePath, libFileName] of referencedLibs) {
+        const destPath = resolve(options.dir, libFileName);
 
         try {
+          // Déjà copié et inchangé depuis (build continu)
+          const { mtimeMs } = statSync(sourcePath);
+          if (copiedFiles.get(destPath) === mtimeMs && existsSync(destPath)) {
+            continue;
+          }
+
+          mkdirSync(dirname(destPath), { recursive: true });
           copyFileSync(sourcePath, destPath);
+          copiedFiles.set(destPath, mtimeMs);
         } catch (err) {
-          console.warn(`Erreur copie ${fileName}:`, err.message);
+          console.warn(`   ⚠ Copie de ${libFileName} impossible : ${err.message}`);
         }
       }
     }
@@ -2,10 +2,12 @@
  * Plugin Vite pour gérer les assets statiques
  * - Dev : Crée des symlinks vers sources/ (pas de copie)
  * - Build : Scanne les fichiers compilés et copie uniquement les assets utilisés
+ * - Build continu : ne recopie que les assets ajoutés ou modifiés depuis la copie précédente
  */
 
-import { copyFileSync, mkdirSync, existsSync, readdirSync, readFileSync, symlinkSync, rmSync } from 'fs';
+import { copyFileSync, mkdirSync, existsSync, readdirSync, readFileSync, symlinkSync, rmSync, statSync } from 'fs';
 import { resolve, dirname, join, normalize, sep } from 'path';
+import chokidar from 'chokidar';
 import { PATHS } from '../paths.config.js';
 
 /**
@@ -59,6 +61,7 @@ function extractAssetsFromJS(jsContent) {
 
 /**
  * Copie un fichier unique avec création des dossiers parents
+ * @returns {boolean} - true si la source existe (fichier copié)
  */
 function copyFile(src, dest) {
   const destDir = dirname(dest);
@@ -67,12 +70,36 @@ function copyFile(src, dest) {
   }
   if (existsSync(src)) {
     copyFileSync(src, dest);
+    return true;
   }
+  return false;
 }
 
 export function copyStaticAssetsPlugin(mode = 'build') {
   const isDev = mode === 'serve' || mode === 'development';
 
+  // Assets copiés : source → { destPath, mtimeMs } (build continu : copies incrémentales)
+  const copiedAssets = new Map();
+
+  // Build continu : surveille les sources copiées (hors du graphe Rollup, un changement ne relance pas le build)
+  let assetWatcher = null;
+
+  const copyChangedAsset = (sourcePath) => {
+    const copy = copiedAssets.get(sourcePath);
+    if (copy && copyFile(sourcePath, copy.destPath)) {
+      copy.mtimeMs = statSync(sourcePath).mtimeMs;
+    }
+  };
+
+  const watchCopiedAssets = () => {
+    if (!assetWatcher) {
+      assetWatcher = chokidar.watch([], { ignoreInitial: true });
+      assetWatcher.on('change', copyChangedAsset);
+      assetWatcher.on('add', copyChangedAsset);
+    }
+    assetWatcher.add([...copiedAssets.keys()]);
+  };
+
   const scanAndCopyUsedAssets = (buildPath) => {
     try {
       const usedAssets = new Set();
@@ -121,8 +148,16 @@ export function copyStaticAssetsPlugin(mode = 'build') {
         // Résoudre le chemin de destination
         const destPath = resolve(buildPath, assetPath);
 
+        // Déjà copié et inchangé depuis (build continu)
+        const mtimeMs = existsSync(sourcePath) ? statSync(sourcePath).mtimeMs : null;
+        if (mtimeMs !== null && copiedAssets.get(sourcePath)?.mtimeMs === mtimeMs && existsSync(destPath)) {
+          return;
+        }
+
         // Copier le fichier
-        copyFile(sourcePath, destPath);
+        if (copyFile(sourcePath, destPath)) {
+          copiedAssets.set(sourcePath, { destPath, mtimeMs });
+        }
       });
 
     } catch (err) {
@@ -143,6 +178,18 @@ export function copyStaticAssetsPlugin(mode = 'build') {
       if (!isDev) {
         const buildPath = resolve(PATHS.themePath, PATHS.assetFolders.dist);
         scanAndCopyUsedAssets(buildPath);
+
+        if (this.meta.watchMode) {
+          watchCopiedAssets();
+        }
+      }
+    },
+
+    // Arrêt du build continu
+    async closeWatcher() {
+      if (assetWatcher) {
+        await assetWatcher.close();
+        assetWatcher = null;
       }
     }
   };
@@ -6,12 +6,15 @@
  * 2. Scanne functions.php pour détecter les assets
  * 3. Génère le MU-plugin PHP avec la configuration actuelle de .env
  * 4. Permet de prendre en compte les changements de .env en live
+ * 5. Régénère le MU-plugin quand un fichier PHP scanné change (nouvel enqueue sans redémarrer)
  */
 
-import { PATHS } from '../paths.config.js';
-import { detectAssetsFromWordPress } from './wordpress-assets-detector.plugin.js';
-import { mkdirSync, writeFileSync, existsSync, unlinkSync, rmdirSync, readdirSync, readFileSync } from 'fs';
-import { resolve } from 'path';
+import { PATHS, PROJECT_CONFIG, DEV_MODE, PHP_MORPH } from '../paths.config.js';
+import { detectAssetsFromWordPress, invalidateDetectedAssets } from './wordpress-assets-detector.plugin.js';
+import { getScannedPhpFiles, getScannedBlockFiles } from './cache-manager.plugin.js';
+import { mkdirSync, writeFileSync, existsSync, unlinkSync, rmdirSync, readdirSync, readFileSync, renameSync } from 'fs';
+import { resolve, relative } from 'path';
+import chokidar from 'chokidar';
 import { exec } from 'child_process';
 import { promisify } from 'util';
 import { platform } from 'os';
@@ -27,6 +30,9 @@ const muPluginsPath = PATHS.muPluginsPath;
 const muPluginFile = resolve(muPluginsPath, 'vite-dev-mode.php');
 const muPluginGitignore = resolve(muPluginsPath, '.gitignore');
 
+// Régénération en cours (attendue par php-reload avant d'envoyer le full-reload)
+let regenerationPromise = Promise.resolve();
+
 /**
  * Supprime le MU-plugin Vite (pour mode build)
  * Si le dossier mu-plugins est vide après suppression, le supprimer aussi
@@ -70,15 +76,35 @@ export function deleteMuPlugin() {
  * Nécessaire car process.env est figé au démarrage du processus Node.js
  */
 function reloadEnvVars() {
+  // Sans valeur dans .env : plugins.hmrBodyReset / hmrFreshBody / hmrEditor / hmrAdmin de vite-wp.config.js, sinon valeur par défaut
+  const defaultBodyReset = PROJECT_CONFIG.config.plugins?.hmrBodyReset ?? true;
+  const defaultFreshBody = PROJECT_CONFIG.config.plugins?.hmrFreshBody ?? false;
+  const defaultEditor = PROJECT_CONFIG.config.plugins?.hmrEditor ?? false;
+  const defaultAdmin = PROJECT_CONFIG.config.plugins?.hmrAdmin ?? false;
   const envPath = resolve(PATHS.bundlerRoot, '.env');
   if (!existsSync(envPath)) {
-    return { HMR_BODY_RESET: true }; // Valeur par défaut
+    return { HMR_BODY_RESET: defaultBodyReset, HMR_FRESH_BODY: defaultFreshBody, HMR_EDITOR: defaultEditor, HMR_ADMIN: defaultAdmin }; // Valeurs par défaut
   }
 
   const envConfig = dotenv.parse(readFileSync(envPath, 'utf8'));
-  const HMR_BODY_RESET = envConfig.HMR_BODY_RESET !== 'false';
-
-  return { HMR_BODY_RESET };
+  const HMR_BODY_RESET = envConfig.HMR_BODY_RESET === undefined
+    ? defaultBodyReset
+    : envConfig.HMR_BODY_RESET !== 'false';
+
+  // Body re-téléchargé depuis WordPress à chaque reset JS (défaut: false)
+  const HMR_FRESH_BODY = envConfig.HMR_FRESH_BODY === undefined
+    ? defaultFreshBody
+    : envConfig.HMR_FRESH_BODY === 'true';
+
+  // Injection Vite dans l'éditeur Gutenberg et l'admin : opt-in (défaut: false)
+  const HMR_EDITOR = envConfig.HMR_EDITOR === undefined
+    ? defaultEditor
+    : envConfig.HMR_EDITOR === 'true';
+  const HMR_ADMIN = envConfig.HMR_ADMIN === undefined
+    ? defaultAdmin
+    : envConfig.HMR_ADMIN === 'true';
+
+  return { HMR_BODY_RESET, HMR_FRESH_BODY, HMR_EDITOR, HMR_ADMIN };
 }
 
 /**
@@ -114,12 +140,25 @@ function ensureBuildFolderInGitignore(buildFolder) {
   }
 }
 
+/**
+ * Convertit un objet { clé: valeur } en tableau associatif PHP (valeurs chaînes ou listes de chaînes)
+ * Ex: { 'theme-main': 'js/main.js' } → ['theme-main' => 'js/main.js']
+ */
+function toPhpAssocArray(object) {
+  const escape = value => `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  const entries = Object.entries(object).map(([key, value]) =>
+    `  ${escape(key)} => ${Array.isArray(value) ? `[${value.map(escape).join(', ')}]` : escape(value)},`
+  );
+
+  return entries.length > 0 ? `[\n${entries.join('\n')}\n]` : '[]';
+}
+
 /**
  * Génère le contenu du MU-plugin PHP
  */
 async function generateMuPluginContent() {
   // Recharger les variables d'environnement depuis .env
-  const { HMR_BODY_RESET } = reloadEnvVars();
+  const { HMR_BODY_RESET, HMR_FRESH_BODY, HMR_EDITOR, HMR_ADMIN } = reloadEnvVars();
 
   // Détecter les assets depuis WordPress
   const detectedAssets = await detectAssetsFromWordPress();
@@ -129,6 +168,18 @@ async function generateMuPluginContent() {
   const adminSources = detectedAssets.admin.sources;
   const editorSources = detectedAssets.editor.sources;
 
+  // Handles WordPress détectés (handle → source), absents d'un cache antérieur
+  const frontHandles = detectedAssets.front.handles || {};
+  const adminHandles = detectedAssets.admin.handles || {};
+  const editorHandles = detectedAssets.editor.handles || {};
+
+  // Chemins de build enqueued par source (source → chemins relatifs au thème)
+  const frontBuildPaths = detectedAssets.front.buildPaths || {};
+  const adminBuildPaths = detectedAssets.admin.buildPaths || {};
+  const editorBuildPaths = detectedAssets.editor.buildPaths || {};
+
+  const bundlerRoot = PATHS.bundlerRoot.replace(/\\/g, '/');
+
   return `<?php
 /**
  * Plugin Name: Vite Dev Mode
@@ -207,38 +258,119 @@ if (!vite_check_server_and_cleanup()) {
 
 // Assets détectés dynamiquement depuis functions.php
 // Catégorisés par contexte: front, admin (pages WP), editor (iframe Gutenberg)
-// NOTE: Les assets admin ne sont PAS injectés par Vite - WordPress utilise ses assets de build
+// NOTE: admin et editor ne sont injectés que si HMR_ADMIN / HMR_EDITOR=true (.env ou plugins de vite-wp.config.js)
 \$vite_front_sources = ${JSON.stringify(frontSources, null, 2)};
-\$vite_admin_sources = ${JSON.stringify(adminSources, null, 2)}; // Conservé pour référence uniquement
+\$vite_admin_sources = ${JSON.stringify(adminSources, null, 2)};
 \$vite_editor_sources = ${JSON.stringify(editorSources, null, 2)};
 \$vite_build_folder = '${buildFolder}';
 
+// Handles WordPress des enqueues détectés (handle => source)
+// Les sources sans handle connu (handle dynamique) retombent sur la correspondance de chemin
+\$vite_front_handles = ${toPhpAssocArray(frontHandles)};
+\$vite_admin_handles = ${toPhpAssocArray(adminHandles)};
+\$vite_editor_handles = ${toPhpAssocArray(editorHandles)};
+
+// Chemins de build enqueued de chaque source (source => [chemins relatifs au thème], résolus par le détecteur)
+// Fallback des sources sans handle remplacé : le src enregistré doit se terminer par l'un d'eux
+\$vite_front_build_paths = ${toPhpAssocArray(frontBuildPaths)};
+\$vite_admin_build_paths = ${toPhpAssocArray(adminBuildPaths)};
+\$vite_editor_build_paths = ${toPhpAssocArray(editorBuildPaths)};
+
+// Sources dont le handle a été remplacé en place (WordPress les imprime lui-même)
+\$vite_swapped_sources = [];
+
+// Handles du thème dont le src pointe désormais vers Vite (rendus en type="module")
+\$vite_module_handles = [];
+
+// Code inline 'after' des scripts dequeued (source => [code]), réinjecté en module après la source Vite
+\$vite_inline_after = [];
+
 /**
- * Dequeue les assets de build pour les remplacer par Vite (FRONT + EDITOR uniquement)
- * Les assets ADMIN ne sont PAS dequeued - WordPress les charge normalement
+ * Construit l'URL Vite d'une source du thème
  */
-function vite_dequeue_build_assets_front() {
-  global \$vite_build_folder, \$vite_front_sources;
+function vite_source_url(\$sourcePath) {
+  \$absolutePath = get_template_directory() . '/' . \$sourcePath;
 
-  foreach (\$vite_front_sources as \$sourcePath) {
-    // Convertir source → build path
-    \$buildPath = str_replace('.js', '.min.js', \$sourcePath);
-    \$buildPath = str_replace('.scss', '.min.css', \$buildPath);
-    \$buildPath = str_replace('scss/', 'css/', \$buildPath);
+  // Convertir backslashes en forward slashes pour Windows
+  \$absolutePath = str_replace('\\\\', '/', \$absolutePath);
+
+  return VITE_URL . '/@fs/' . \$absolutePath;
+}
+
+/**
+ * Remplace en place le src des handles détectés par l'URL Vite
+ * Dépendances, in_footer, strategy (defer/async), wp_localize_script et inline scripts
+ * restent appliqués par WordPress puisque le handle n'est jamais deregister
+ */
+function vite_swap_build_handles(\$handles) {
+  global \$wp_scripts, \$wp_styles, \$vite_swapped_sources, \$vite_module_handles;
+
+  foreach (\$handles as \$handle => \$sourcePath) {
+    if (preg_match('/\\\\.(jsx?|tsx?)$/', \$sourcePath) && isset(\$wp_scripts->registered[\$handle])) {
+      \$wp_scripts->registered[\$handle]->src = vite_source_url(\$sourcePath);
+      \$wp_scripts->registered[\$handle]->ver = null; // Pas de ?ver= sur l'URL Vite
+      \$vite_module_handles[] = \$handle;
+      \$vite_swapped_sources[] = \$sourcePath;
+    } elseif (preg_match('/\\\\.(scss|css)$/', \$sourcePath) && isset(\$wp_styles->registered[\$handle])) {
+      \$wp_styles->registered[\$handle]->src = vite_source_url(\$sourcePath);
+      \$wp_styles->registered[\$handle]->ver = null;
+      // Empêcher wp_maybe_inline_styles() d'inliner le fichier de build (styles de blocs)
+      unset(\$wp_styles->registered[\$handle]->extra['path']);
+      \$vite_swapped_sources[] = \$sourcePath;
+    }
+  }
+}
+
+/**
+ * Le src enregistré pointe-t-il vers l'un des chemins de build de la source ?
+ * Src dans le dossier du thème et terminé par le chemin (query ?ver= ignorée) :
+ * un main.min.js ou style.min.css d'un plugin (ou du core) ne correspond pas
+ */
+function vite_src_matches_build_paths(\$src, \$buildPaths) {
+  \$srcPath = (string) wp_parse_url(\$src, PHP_URL_PATH);
+  \$themePath = trailingslashit((string) wp_parse_url(get_template_directory_uri(), PHP_URL_PATH));
+
+  if (strpos(\$srcPath, \$themePath) === false) {
+    return false;
+  }
+
+  foreach (\$buildPaths as \$buildPath) {
+    \$suffix = '/' . ltrim(\$buildPath, '/');
+    if (substr(\$srcPath, -strlen(\$suffix)) === \$suffix) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Remplace les assets de build correspondant aux sources données par Vite
+ * Partagé par le front, l'éditeur et l'admin (chacun avec ses propres sources)
+ *
+ * 1. Handles détectés : src remplacé en place
+ * 2. Sources restantes : dequeue des handles dont le src correspond à un chemin de build
+ *    enqueued pour la source (résolu par le détecteur), puis injection séparée
+ */
+function vite_dequeue_build_assets(\$sources, \$handles = [], \$buildPaths = []) {
+  global \$vite_swapped_sources, \$vite_inline_after;
+
+  vite_swap_build_handles(\$handles);
 
-    \$searchPath = \$vite_build_folder . '/' . \$buildPath;
-    \$fileName = basename(\$buildPath);
+  foreach (\$sources as \$sourcePath) {
+    if (in_array(\$sourcePath, \$vite_swapped_sources, true) || empty(\$buildPaths[\$sourcePath])) {
+      continue;
+    }
+
+    \$sourceBuildPaths = \$buildPaths[\$sourcePath];
 
     // Parcourir tous les styles/scripts enregistrés pour trouver ceux qui correspondent
     global \$wp_styles, \$wp_scripts;
 
     // Détecter et dequeue les styles
-    if (strpos(\$buildPath, '.css') !== false && !empty(\$wp_styles->registered)) {
+    if (preg_match('/\\\\.(scss|css)$/', \$sourcePath) && !empty(\$wp_styles->registered)) {
       foreach (\$wp_styles->registered as \$handle => \$style) {
-        if (!empty(\$style->src) && (
-          strpos(\$style->src, \$searchPath) !== false ||
-          strpos(\$style->src, \$fileName) !== false
-        )) {
+        if (!empty(\$style->src) && vite_src_matches_build_paths(\$style->src, \$sourceBuildPaths)) {
           // Sauvegarder les inline styles avant de dequeue (pour les réattacher après)
           \$inline_styles = isset(\$style->extra['after']) ? \$style->extra['after'] : [];
 
@@ -262,14 +394,40 @@ function vite_dequeue_build_assets_front() {
     }
 
     // Détecter et dequeue les scripts
-    if (strpos(\$buildPath, '.js') !== false && !empty(\$wp_scripts->registered)) {
+    if (preg_match('/\\\\.(jsx?|tsx?)$/', \$sourcePath) && !empty(\$wp_scripts->registered)) {
       foreach (\$wp_scripts->registered as \$handle => \$script) {
-        if (!empty(\$script->src) && (
-          strpos(\$script->src, \$searchPath) !== false ||
-          strpos(\$script->src, \$fileName) !== false
-        )) {
+        if (!empty(\$script->src) && vite_src_matches_build_paths(\$script->src, \$sourceBuildPaths)) {
+          // Sauvegarder les données attachées avant de dequeue (pour les réattacher après)
+          // wp_localize_script → extra['data'], wp_add_inline_script → extra['before'] / extra['after']
+          \$localized_data = isset(\$script->extra['data']) ? \$script->extra['data'] : '';
+          \$inline_before = isset(\$script->extra['before']) ? array_filter((array) \$script->extra['before']) : [];
+          \$inline_after = isset(\$script->extra['after']) ? array_filter((array) \$script->extra['after']) : [];
+          \$deps = \$script->deps;
+
           wp_dequeue_script(\$handle);
           wp_deregister_script(\$handle);
+
+          // Si des données existaient, les réenregistrer sur un handle temporaire sans src
+          // Script classique : exécuté pendant le parsing, donc avant le module Vite (différé)
+          // Ex: window.themeData reste défini pour le JS du thème en dev
+          if (\$localized_data || !empty(\$inline_before)) {
+            \$temp_handle = \$handle . '-inline-only';
+            // Mêmes dépendances que l'original (ex: jQuery chargé avant le code inline 'before')
+            wp_register_script(\$temp_handle, false, \$deps);
+            wp_enqueue_script(\$temp_handle);
+
+            if (\$localized_data) {
+              \$wp_scripts->add_data(\$temp_handle, 'data', \$localized_data);
+            }
+            foreach (\$inline_before as \$inline_js) {
+              wp_add_inline_script(\$temp_handle, \$inline_js, 'before');
+            }
+          }
+
+          // Le code 'after' doit s'exécuter après la source : réinjecté en module à sa suite
+          foreach (\$inline_after as \$inline_js) {
+            \$vite_inline_after[\$sourcePath][] = \$inline_js;
+          }
         }
       }
     }
@@ -277,11 +435,77 @@ function vite_dequeue_build_assets_front() {
 }
 
 /**
- * Hook pour dequeue les assets de build - FRONT uniquement
- * L'admin utilise les assets WordPress normaux (pas de Vite en admin)
+ * Dequeue les assets de build - FRONT
+ */
+function vite_dequeue_build_assets_front() {
+  global \$vite_front_sources, \$vite_front_handles, \$vite_front_build_paths;
+  vite_dequeue_build_assets(\$vite_front_sources, \$vite_front_handles, \$vite_front_build_paths);
+}
+
+/**
+ * Hook pour dequeue les assets de build - FRONT
+ * L'admin et l'éditeur ont leurs propres hooks (opt-in, voir plus bas)
  */
 add_action('wp_enqueue_scripts', 'vite_dequeue_build_assets_front', 9999);
 
+/**
+ * Handle servi en module ES par Vite (handles vite-* du MU-plugin + handles du thème remplacés en place)
+ */
+function vite_is_module_handle(\$handle) {
+  global \$vite_module_handles;
+  return strpos(\$handle, 'vite-') === 0 || in_array(\$handle, \$vite_module_handles, true);
+}
+
+/**
+ * Code inline d'une source dequeued, à imprimer après sa balise Vite
+ * En module, donc différé comme elle : exécuté à sa suite (un script classique passerait avant)
+ */
+function vite_get_inline_after(\$sourcePath) {
+  global \$vite_inline_after;
+  return empty(\$vite_inline_after[\$sourcePath]) ? '' : implode("\\n", \$vite_inline_after[\$sourcePath]);
+}
+
+/**
+ * Les scripts servis par Vite sont des modules ES : forcer type="module"
+ * Seule la balise avec src est modifiée : localize et inline 'before' restent classiques (exécutés avant),
+ * l'inline 'after' passe en module via wp_inline_script_attributes
+ *
+ * Un script classique qui dépend d'un handle remplacé en place s'exécute avant lui (le module est différé) :
+ * avertissement dans la console du navigateur
+ */
+add_filter('script_loader_tag', function(\$tag, \$handle) {
+  global \$vite_module_handles, \$wp_scripts;
+
+  if (!vite_is_module_handle(\$handle)) {
+    \$deps = isset(\$wp_scripts->registered[\$handle]) ? \$wp_scripts->registered[\$handle]->deps : [];
+    \$moduleDeps = array_intersect(\$deps, \$vite_module_handles);
+
+    if (empty(\$moduleDeps)) {
+      return \$tag;
+    }
+
+    \$message = sprintf('[vite] %s dépend de %s, servi en module par Vite : en dev, il est exécuté avant (module différé)', \$handle, implode(', ', \$moduleDeps));
+    return wp_get_inline_script_tag('console.warn(' . wp_json_encode(\$message) . ');') . \$tag;
+  }
+
+  return preg_replace_callback('/<script\\\\b[^>]*\\\\ssrc=[^>]*>/i', function(\$matches) {
+    \$scriptTag = preg_replace('/\\\\stype=(["\\'])[^"\\']*\\\\1/', '', \$matches[0]);
+    return str_replace('<script', '<script type="module"', \$scriptTag);
+  }, \$tag);
+}, 10, 2);
+
+/**
+ * Inline 'after' des handles servis en module (wp_add_inline_script(\$handle, 'jQuery(...)', 'after')) :
+ * en type="module" lui aussi, pour s'exécuter après le module différé et non avant
+ */
+add_filter('wp_inline_script_attributes', function(\$attributes) {
+  if (isset(\$attributes['id']) && preg_match('/^(.+)-js-after$/', \$attributes['id'], \$matches) && vite_is_module_handle(\$matches[1])) {
+    \$attributes['type'] = 'module';
+  }
+
+  return \$attributes;
+});
+
 /**
  * Filtrer wp_preload_resources pour retirer tous les preload du dossier de build
  * S'exécute en dernier (priorité 99999) pour filtrer après tous les ajouts du theme
@@ -342,16 +566,11 @@ add_action('shutdown', function() {
   }
 }, 999);
 
-/**
- * NOTE: L'admin WordPress utilise les assets de build normaux (pas de Vite)
- * Seuls le FRONT et l'EDITOR (iframe Gutenberg) utilisent Vite HMR
- */
-
 /**
  * Fonction d'injection des assets Vite pour FRONT
  */
 function vite_inject_front_assets() {
-  global \$vite_front_sources;
+  global \$vite_front_sources, \$vite_swapped_sources;
 
   // Vérifier à nouveau que Vite est actif avant d'injecter
   // (au cas où il aurait crashé depuis le chargement du plugin)
@@ -366,23 +585,28 @@ function vite_inject_front_assets() {
   // 2. HMR Body Reset Helper (injecté depuis le bundler - conditionnel)
   ${HMR_BODY_RESET ? `\$hmrHelperPath = '${PATHS.bundlerRoot.replace(/\\/g, '/')}/scripts/hmr-body-reset.js';
   if (file_exists(\$hmrHelperPath)) {
-    \$hmrHelperUrl = VITE_URL . '/@fs/' . \$hmrHelperPath;
+    \$hmrHelperUrl = VITE_URL . '/@fs/' . \$hmrHelperPath${HMR_FRESH_BODY ? ` . '?fresh=1'` : ''};
     echo '<script type="module" src="' . esc_url(\$hmrHelperUrl) . '"></script>' . "\\n";
   }` : '// HMR Body Reset désactivé (HMR_BODY_RESET=false dans .env)'}
 
-  // 3. Assets sources (JS et SCSS)
-  foreach (\$vite_front_sources as \$sourcePath) {
-    \$themePath = get_template_directory();
-    \$absolutePath = \$themePath . '/' . \$sourcePath;
+  ${PHP_MORPH ? `// 2b. Morph de la page sur changement PHP (PHP_MORPH=true)
+  echo '<script type="module" src="' . esc_url(VITE_URL . '/@fs/${bundlerRoot}/scripts/hmr-php-morph.js') . '"></script>' . "\\n";` : '// Morph PHP désactivé : reload complet sur changement PHP'}
 
-    // Convertir backslashes en forward slashes pour Windows
-    \$absolutePath = str_replace('\\\\', '/', \$absolutePath);
+  // 3. Assets sources (JS et SCSS) sans handle remplacé en place
+  foreach (\$vite_front_sources as \$sourcePath) {
+    if (in_array(\$sourcePath, \$vite_swapped_sources, true)) {
+      continue;
+    }
 
-    \$viteUrl = VITE_URL . '/@fs/' . \$absolutePath;
+    \$viteUrl = vite_source_url(\$sourcePath);
 
-    if (preg_match('/\\\\.js$/', \$sourcePath)) {
-      // Script JS module
+    if (preg_match('/\\\\.(jsx?|tsx?)$/', \$sourcePath)) {
+      // Script JS module, suivi de son code inline 'after' (handle dequeued)
       echo '<script type="module" src="' . esc_url(\$viteUrl) . '"></script>' . "\\n";
+
+      if (\$inlineAfter = vite_get_inline_after(\$sourcePath)) {
+        echo wp_get_inline_script_tag(\$inlineAfter, ['type' => 'module']);
+      }
     } elseif (preg_match('/\\\\.(scss|css)$/', \$sourcePath)) {
       // Stylesheet SCSS/CSS via <link> pour que les URLs relatives fonctionnent
       echo '<link rel="stylesheet" href="' . esc_url(\$viteUrl) . '">' . "\\n";
@@ -399,22 +623,211 @@ function vite_inject_front_debug() {
 }
 
 /**
- * Injecter les assets Vite dans le <head> - FRONT uniquement
- * L'admin WordPress (y compris l'éditeur Gutenberg) utilise les assets de build normaux
+ * Injecter les assets Vite dans le <head> - FRONT
+ * L'admin et l'éditeur Gutenberg passent par l'API d'enqueue (voir plus bas)
  */
 add_action('wp_head', 'vite_inject_front_assets', 1);
 add_action('wp_head', 'vite_inject_front_debug', 1);
-`;
+${HMR_EDITOR || HMR_ADMIN ? `
+/**
+ * Enqueue les sources Vite via l'API WordPress - ADMIN + EDITOR
+ * Contrairement au front (echo dans wp_head), passer par des handles permet à WordPress
+ * de recopier les assets enqueued sur enqueue_block_assets dans l'iframe du canvas Gutenberg
+ *
+ * @param array  \$sources      Chemins sources relatifs au thème
+ * @param string \$context      'admin' ou 'editor' (préfixe des handles)
+ * @param bool   \$styles_only  N'enqueue que les styles (iframe : le JS d'interface reste dans la page parente)
+ */
+function vite_enqueue_sources(\$sources, \$context, \$styles_only = false) {
+  global \$vite_swapped_sources;
+
+  if (!vite_check_server_and_cleanup()) {
+    return;
+  }
+
+  // 1. Client Vite : HMR CSS natif (remplacement des <link>) dans la page comme dans l'iframe
+  wp_enqueue_script('vite-client', VITE_URL . '/@vite/client', [], null);
+
+  // 2. Assets sources (JS et SCSS) sans handle remplacé en place
+  foreach (\$sources as \$index => \$sourcePath) {
+    if (in_array(\$sourcePath, \$vite_swapped_sources, true)) {
+      continue;
+    }
+
+    \$viteUrl = vite_source_url(\$sourcePath);
+    \$handle = 'vite-' . \$context . '-' . \$index;
+
+    if (preg_match('/\\\\.(jsx?|tsx?)$/', \$sourcePath)) {
+      if (!\$styles_only) {
+        wp_enqueue_script(\$handle, \$viteUrl, ['vite-client'], null);
+
+        // Code inline 'after' du handle dequeued (passé en module par wp_inline_script_attributes)
+        if (\$inlineAfter = vite_get_inline_after(\$sourcePath)) {
+          wp_add_inline_script(\$handle, \$inlineAfter, 'after');
+        }
+      }
+    } elseif (preg_match('/\\\\.(scss|css)$/', \$sourcePath)) {
+      wp_enqueue_style(\$handle, \$viteUrl, [], null);
+    }
+  }
+
+  // 3. Reload complet sur changement JS (pas de body reset dans l'admin : il casserait React/Gutenberg)
+  if (!\$styles_only) {
+    wp_enqueue_script('vite-admin-reload', VITE_URL . '/@fs/${bundlerRoot}/scripts/hmr-admin-reload.js', ['vite-client'], null);
+  }
+}
+` : ''}${HMR_EDITOR ? `
+/**
+ * Dequeue les assets de build - EDITOR
+ */
+function vite_dequeue_build_assets_editor() {
+  global \$vite_editor_sources, \$vite_editor_handles, \$vite_editor_build_paths;
+  vite_dequeue_build_assets(\$vite_editor_sources, \$vite_editor_handles, \$vite_editor_build_paths);
+}
+
+/**
+ * Page parente de l'éditeur : scripts d'interface (blocs, sidebars) + styles
+ */
+function vite_enqueue_editor_assets() {
+  global \$vite_editor_sources;
+  vite_enqueue_sources(\$vite_editor_sources, 'editor');
+}
+
+/**
+ * Canvas de l'éditeur : enqueue_block_assets est rejoué par WordPress pour remplir l'iframe
+ * Ce hook tourne aussi sur le front, d'où le garde is_admin()
+ */
+function vite_enqueue_editor_canvas_assets() {
+  global \$vite_editor_sources;
+
+  if (!is_admin()) {
+    return;
+  }
+
+  vite_dequeue_build_assets_editor();
+  vite_enqueue_sources(\$vite_editor_sources, 'editor', true);
+}
+
+/**
+ * Injecter Vite dans l'éditeur Gutenberg (HMR_EDITOR=true)
+ * Priorité haute pour passer après les enqueues du thème
+ */
+add_action('enqueue_block_editor_assets', 'vite_dequeue_build_assets_editor', 9999);
+add_action('enqueue_block_editor_assets', 'vite_enqueue_editor_assets', 10000);
+add_action('enqueue_block_assets', 'vite_enqueue_editor_canvas_assets', 9999);
+` : ''}${HMR_ADMIN ? `
+/**
+ * Dequeue les assets de build et injecter Vite - ADMIN (HMR_ADMIN=true)
+ */
+function vite_inject_admin_assets() {
+  global \$vite_admin_sources, \$vite_admin_handles, \$vite_admin_build_paths;
+
+  vite_dequeue_build_assets(\$vite_admin_sources, \$vite_admin_handles, \$vite_admin_build_paths);
+  vite_enqueue_sources(\$vite_admin_sources, 'admin');
+}
+
+add_action('admin_enqueue_scripts', 'vite_inject_admin_assets', 9999);
+` : ''}`;
+}
+
+/**
+ * Écrit le MU-plugin de façon atomique (fichier temporaire puis rename)
+ * WordPress ne lit jamais un fichier à moitié écrit pendant une requête
+ */
+function writeMuPluginAtomic(content) {
+  const tempFile = `${muPluginFile}.${process.pid}.tmp`;
+
+  try {
+    writeFileSync(tempFile, content, 'utf8');
+    renameSync(tempFile, muPluginFile);
+  } catch (err) {
+    // rename peut échouer si PHP verrouille le fichier (Windows) : écriture directe
+    try {
+      unlinkSync(tempFile);
+    } catch (unlinkErr) {
+      // Fichier temporaire déjà absent
+    }
+    writeFileSync(muPluginFile, content, 'utf8');
+  }
+}
+
+/**
+ * Liste "contexte: source" des assets détectés (sources et libs), pour comparer deux détections
+ */
+function listDetectedAssets(detectedAssets) {
+  return ['front', 'admin', 'editor'].flatMap(context => [
+    ...detectedAssets[context].sources,
+    ...detectedAssets[context].libs,
+  ].map(asset => `${context}: ${asset}`));
+}
+
+/**
+ * Log de la régénération dans le style Vite, avec le diff des assets ajoutés/retirés
+ */
+function logRegeneration(changedFiles, previousAssets, nextAssets) {
+  const label = DEV_MODE === 'proxy' ? 'assets re-détectés' : 'mu-plugin régénéré';
+  const time = new Date().toLocaleTimeString('fr-FR', { hour12: false });
+  const dim = '\x1b[2m';
+  const cyan = '\x1b[36m';
+  const bold = '\x1b[1m';
+  const green = '\x1b[32m';
+  const red = '\x1b[31m';
+  const reset = '\x1b[0m';
+
+  const files = changedFiles.map(file => relative(PATHS.themePath, file).replace(/\\/g, '/')).join(', ');
+  console.log(`${dim}${time}${reset} ${bold}${cyan}[vite]${reset} ${green}${label}${reset} ${dim}${files}${reset}`);
+
+  const added = nextAssets.filter(asset => !previousAssets.includes(asset));
+  const removed = previousAssets.filter(asset => !nextAssets.includes(asset));
+
+  added.forEach(asset => console.log(`   ${green}+ ${asset}${reset}`));
+  removed.forEach(asset => console.log(`   ${red}- ${asset}${reset}`));
+}
+
+/**
+ * Rescanne le PHP et réécrit le MU-plugin si son contenu change
+ * @param {string[]} changedFiles - Fichiers PHP modifiés (chemins absolus)
+ */
+async function regenerateMuPlugin(changedFiles) {
+  const previousAssets = listDetectedAssets(await detectAssetsFromWordPress());
+
+  await invalidateDetectedAssets();
+
+  const nextAssets = listDetectedAssets(await detectAssetsFromWordPress());
+  // Mode proxy : pas de MU-plugin, le proxy relit les assets détectés à chaque page
+  if (DEV_MODE === 'proxy') {
+    logRegeneration(changedFiles, previousAssets, nextAssets);
+    return;
+  }
+
+  const muPluginContent = await generateMuPluginContent();
+
+  const currentContent = existsSync(muPluginFile) ? readFileSync(muPluginFile, 'utf8') : null;
+  if (currentContent === muPluginContent) {
+    return; // Changement PHP sans effet sur les assets (template, texte...)
+  }
+
+  writeMuPluginAtomic(muPluginContent);
+  logRegeneration(changedFiles, previousAssets, nextAssets);
+}
+
+/**
+ * Attend la fin d'une éventuelle régénération du MU-plugin
+ * Utilisé par php-reload : le navigateur ne recharge qu'une fois le nouveau MU-plugin écrit
+ */
+export function waitForMuPluginRegeneration() {
+  return regenerationPromise;
 }
 
 /**
  * Ouvre l'URL WordPress dans le navigateur (une seule fois)
+ * @param {string} url - URL à ouvrir (défaut : WordPress, en mode proxy : WordPress servi par Vite)
  */
-async function openBrowser() {
+async function openBrowser(url = null) {
   if (browserOpened) return;
   browserOpened = true;
 
-  const wpUrl = `${PATHS.wpProtocol}://${PATHS.wpHost}:${PATHS.wpPort}${PATHS.wpBasePath}`;
+  const wpUrl = url || `${PATHS.wpProtocol}://${PATHS.wpHost}:${PATHS.wpPort}${PATHS.wpBasePath}`;
 
   const os = platform();
   const openCommand = os === 'win32' ? `start "" "${wpUrl}"` : os === 'darwin' ? `open "${wpUrl}"` : `xdg-open "${wpUrl}"`;
@@ -430,14 +843,106 @@ async function openBrowser() {
  * Plugin Vite pour gérer le MU-plugin (génération en dev, suppression en build)
  */
 export function generateMuPluginPlugin() {
+  // Watcher des fichiers PHP scannés (configurés + inclus) et des block.json, créé en dev par configureServer
+  let phpWatcher = null;
+
+  // Serveur de dev (vite) : le build continu (npm run build:watch) est aussi en watchMode, sans MU-plugin
+  let isServe = false;
+
+  // Synchroniser la liste surveillée avec les fichiers du dernier scan (un require ajouté est suivi)
+  // Les block.json en font partie : leurs assets entrent dans la détection
+  const watchScannedPhpFiles = () => {
+    if (!phpWatcher) return;
+
+    const scannedFiles = [...getScannedPhpFiles(), ...getScannedBlockFiles()].map(file => resolve(PATHS.themePath, file));
+    const watchedFiles = Object.entries(phpWatcher.getWatched())
+      .flatMap(([dir, names]) => names.map(name => resolve(dir, name)));
+
+    phpWatcher.unwatch(watchedFiles.filter(file => !scannedFiles.includes(file)));
+    phpWatcher.add(scannedFiles.filter(file => !watchedFiles.includes(file)));
+  };
+
   return {
     name: 'generate-mu-plugin',
 
+    configResolved(config) {
+      isServe = config.command === 'serve';
+    },
+
+    configureServer(server) {
+      phpWatcher = chokidar.watch([], {
+        ignoreInitial: true,
+        awaitWriteFinish: {
+          stabilityThreshold: 200,
+          pollInterval: 100,
+        },
+      });
+
+      const pendingFiles = new Set();
+      let regenerationTimer = null;
+      let resolveRegeneration = null;
+      let regenerationQueue = Promise.resolve();
+
+      const scheduleRegeneration = (filePath) => {
+        pendingFiles.add(filePath);
+
+        // Première sauvegarde d'une rafale : php-reload attendra cette promesse avant de recharger
+        if (!resolveRegeneration) {
+          regenerationPromise = new Promise(resolvePromise => { resolveRegeneration = resolvePromise; });
+        }
+
+        // Regrouper les sauvegardes rapprochées
+        if (regenerationTimer) {
+          clearTimeout(regenerationTimer);
+        }
+
+        regenerationTimer = setTimeout(() => {
+          const changedFiles = [...pendingFiles];
+          const done = resolveRegeneration;
+          pendingFiles.clear();
+          regenerationTimer = null;
+          resolveRegeneration = null;
+
+          // Une régénération à la fois (une rafale peut arriver pendant la précédente)
+          regenerationQueue = regenerationQueue
+            .then(async () => {
+              await regenerateMuPlugin(changedFiles);
+              watchScannedPhpFiles();
+            })
+            .catch(err => console.warn(`   ⚠ Régénération du MU-plugin impossible : ${err.message}`))
+            .finally(done);
+        }, 100);
+      };
+
+      phpWatcher.on('change', scheduleRegeneration);
+      phpWatcher.on('unlink', scheduleRegeneration);
+
+      server.httpServer?.on('close', () => {
+        if (regenerationTimer) {
+          clearTimeout(regenerationTimer);
+        }
+        resolveRegeneration?.();
+        phpWatcher.close();
+      });
+    },
+
     async buildStart() {
-      const isDev = this.meta?.watchMode;
+      const isDev = isServe && this.meta?.watchMode;
+
+      // MODE DEV PROXY: WordPress servi par Vite (wordpressProxyPlugin), pas de MU-plugin
+      if (isDev && DEV_MODE === 'proxy') {
+        deleteMuPlugin();
 
+        const detectedAssets = await detectAssetsFromWordPress();
+        ensureBuildFolderInGitignore(detectedAssets.buildFolder);
+
+        // Surveiller les fichiers PHP scannés pour re-détecter les assets à chaud
+        watchScannedPhpFiles();
+
+        await openBrowser(`${PATHS.viteUrl}${PATHS.wpBasePath}`);
+      }
       // MODE DEV: Générer le MU-plugin
-      if (isDev) {
+      else if (isDev) {
         // Recharger les variables d'environnement
         const { HMR_BODY_RESET } = reloadEnvVars();
 
@@ -476,6 +981,9 @@ vite-dev-mode.php
         // Ajouter le dossier de build au .gitignore racine WordPress
         ensureBuildFolderInGitignore(buildFolder);
 
+        // Surveiller les fichiers PHP scannés pour régénérer le MU-plugin à chaud
+        watchScannedPhpFiles();
+
         // Ouvrir le navigateur (une seule fois)
         await openBrowser();
       }
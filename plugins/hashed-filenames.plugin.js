@@ -0,0 +1,152 @@
+import { existsSync, readFileSync, writeFileSync, unlinkSync } from 'fs';
+import { resolve, relative } from 'path';
+import { PATHS } from '../paths.config.js';
+
+/**
+ * Plugin Vite pour les noms de fichiers hashés (HASHED_FILENAMES=true)
+ *
+ * Le build produit main.min.a1b2c3d4.js au lieu de main.min.js (cache navigateur longue durée).
+ * Les enqueues du thème ne changent pas : ils pointent toujours vers dist/js/main.min.js.
+ * - manifest.json : nom sans hash → nom hashé, relatifs au dossier de build
+ * - vite-manifest.php : filtres WordPress (script_loader_src, style_loader_src, script_module_loader_src)
+ *   qui remplacent l'URL sans hash par celle du fichier hashé
+ *
+ * Chaque passe (principale et scripts classiques) complète le manifest existant.
+ * Build continu : l'ancien fichier hashé d'une entrée reconstruite est supprimé.
+ */
+
+// Suffixe ajouté par vite.config.js : main.min.[hash:8].js
+export const HASH_PLACEHOLDER = '[hash:8]';
+
+// main.min.a1b2c3d4.js → main.min.js (hash Rollup : base64 url-safe)
+const HASHED_FILE_PATTERN = /\.min\.[\w-]{8}\.(js|css)$/;
+
+const MANIFEST_FILE = 'manifest.json';
+const HELPER_FILE = 'vite-manifest.php';
+
+/**
+ * Nom de fichier sans le hash (inchangé si le fichier n'est pas hashé)
+ * @param {string} fileName - Nom dans le bundle (ex: js/main.min.a1b2c3d4.js)
+ * @returns {string} - Nom référencé par les enqueues (ex: js/main.min.js)
+ */
+export function getUnhashedFileName(fileName) {
+  return fileName.replace(HASHED_FILE_PATTERN, '.min.$1');
+}
+
+/**
+ * Lit le manifest du dossier de build (vide si absent ou illisible)
+ */
+function readManifest(manifestPath) {
+  if (!existsSync(manifestPath)) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(readFileSync(manifestPath, 'utf-8'));
+  } catch (err) {
+    console.warn(`   ⚠ ${MANIFEST_FILE} illisible, régénération`);
+    return {};
+  }
+}
+
+/**
+ * Helper PHP à inclure depuis functions.php
+ * Autonome : lit manifest.json à côté de lui et calcule l'URL du dossier de build depuis __DIR__
+ */
+function generateHelperPhp(buildFolder) {
+  return `<?php
+/**
+ * Noms de fichiers hashés du build (HASHED_FILENAMES=true)
+ *
+ * Ce fichier est GÉNÉRÉ AUTOMATIQUEMENT par vite-wp-bundler (npm run build).
+ * Ne pas modifier manuellement - vos changements seront écrasés.
+ *
+ * Les enqueues pointent vers les noms sans hash (${buildFolder}/js/main.min.js) :
+ * WordPress sert le fichier hashé listé dans ${MANIFEST_FILE} (${buildFolder}/js/main.min.a1b2c3d4.js).
+ *
+ * Inclusion depuis functions.php :
+ * if (file_exists($vite_manifest = get_theme_file_path('${buildFolder}/${HELPER_FILE}'))) require_once $vite_manifest;
+ */
+
+if (!defined('ABSPATH')) {
+  exit;
+}
+
+if (!function_exists('vite_hashed_asset_src')) {
+  /**
+   * Remplace l'URL d'un asset du build par celle de son fichier hashé
+   */
+  function vite_hashed_asset_src($src) {
+    static $manifest = null;
+    static $buildPath = null;
+
+    // Mode dev (MU-plugin) : les assets de build sont remplacés par les sources Vite
+    if (!$src || defined('VITE_DEV_MODE')) {
+      return $src;
+    }
+
+    if ($manifest === null) {
+      $manifestFile = __DIR__ . '/${MANIFEST_FILE}';
+      $manifest = file_exists($manifestFile) ? (json_decode(file_get_contents($manifestFile), true) ?: array()) : array();
+
+      // Chemin URL du dossier de build (ex: /wp-content/themes/mon-theme/dist/)
+      $relativeDir = substr(wp_normalize_path(__DIR__), strlen(wp_normalize_path(WP_CONTENT_DIR)));
+      $buildPath = trailingslashit(wp_parse_url(content_url($relativeDir), PHP_URL_PATH));
+    }
+
+    $path = wp_parse_url($src, PHP_URL_PATH);
+    if (!$path || strpos($path, $buildPath) !== 0) {
+      return $src;
+    }
+
+    $file = substr($path, strlen($buildPath));
+    if (!isset($manifest[$file])) {
+      return $src;
+    }
+
+    return str_replace($path, $buildPath . $manifest[$file], $src);
+  }
+
+  add_filter('script_loader_src', 'vite_hashed_asset_src', 5);
+  add_filter('style_loader_src', 'vite_hashed_asset_src', 5);
+  add_filter('script_module_loader_src', 'vite_hashed_asset_src', 5);
+}
+`;
+}
+
+export function hashedFilenamesPlugin() {
+  return {
+    name: 'hashed-filenames',
+    apply: 'build',
+
+    // Hook: fichiers écrits, compléter le manifest avec ceux de cette passe
+    writeBundle(options, bundle) {
+      const manifestPath = resolve(options.dir, MANIFEST_FILE);
+      const manifest = readManifest(manifestPath);
+
+      for (const fileName of Object.keys(bundle)) {
+        const unhashedFileName = getUnhashedFileName(fileName);
+        if (unhashedFileName === fileName) continue;
+
+        // Build continu : supprimer la version précédente de ce fichier
+        const previousFileName = manifest[unhashedFileName];
+        if (previousFileName && previousFileName !== fileName && !bundle[previousFileName]) {
+          try {
+            unlinkSync(resolve(options.dir, previousFileName));
+          } catch (err) {
+            // Déjà supprimé
+          }
+        }
+
+        manifest[unhashedFileName] = fileName;
+      }
+
+      const sortedManifest = Object.fromEntries(Object.entries(manifest).sort(([a], [b]) => a.localeCompare(b)));
+      writeFileSync(manifestPath, JSON.stringify(sortedManifest, null, 2) + '\n', 'utf-8');
+
+      // Helper PHP (contenu fixe, réécrit à chaque passe)
+      const buildFolder = relative(PATHS.themePath, options.dir).replace(/\\/g, '/');
+      writeFileSync(resolve(options.dir, HELPER_FILE), generateHelperPhp(buildFolder), 'utf-8');
+    }
+  };
+}
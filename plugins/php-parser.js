@@ -0,0 +1,1675 @@
+/**
+ * Mini tokenizer / interpréteur PHP pour la détection des enqueues WordPress
+ *
+ * Remplace les regex de parsing : les corps de fonctions sont parcourus token par token,
+ * les blocs imbriqués (if, foreach, closures, tableaux) ne coupent plus la détection.
+ *
+ * Ce n'est PAS un interpréteur PHP complet :
+ * - Les constantes (define/const), variables et concaténations sont évaluées
+ * - Les fonctions WordPress de chemins (get_template_directory_uri(), get_theme_file_uri()...) sont connues
+ * - Tout ce qui n'est pas résolvable statiquement vaut `undefined`
+ * - Toutes les branches des conditions sont considérées comme exécutées
+ *
+ * Convention des chemins évalués : la racine du thème vaut '' (chaîne vide)
+ * Ex: get_template_directory_uri() . '/dist/js/main.min.js' → '/dist/js/main.min.js'
+ */
+
+import { posix } from 'path';
+
+/**
+ * ============================
+ * TOKENIZER
+ * ============================
+ */
+
+// Opérateurs multi-caractères, du plus long au plus court
+const OPERATORS = [
+  '<<=', '>>=', '**=', '...', '<=>', '===', '!==', '??=', '?->',
+  '::', '->', '=>', '==', '!=', '<>', '<=', '>=', '&&', '||', '??', '++', '--',
+  '+=', '-=', '*=', '/=', '.=', '%=', '&=', '|=', '^=', '<<', '>>', '**',
+];
+
+/**
+ * Découpe un fichier PHP en tokens
+ * Le HTML hors balises PHP, les commentaires et les balises d'ouverture sont ignorés
+ * La balise de fermeture ?> est convertie en ';' (comme le fait PHP)
+ *
+ * @param {string} content - Contenu du fichier PHP
+ * @returns {Array<{type: string, value: string, start: number, end: number, line: number}>}
+ *   type: 'string' | 'variable' | 'ident' | 'number' | 'op'
+ */
+export function tokenizePhp(content) {
+  const tokens = [];
+  const length = content.length;
+  let pos = 0;
+  let line = 1;
+  let inPhp = false;
+
+  const push = (type, value, start, extra = {}) => {
+    tokens.push({ type, value, start, end: pos, line, ...extra });
+  };
+
+  const advance = (count) => {
+    for (let k = 0; k < count && pos < length; k++) {
+      if (content[pos] === '\n') line++;
+      pos++;
+    }
+  };
+
+  while (pos < length) {
+    // HTML hors PHP : sauter jusqu'à la prochaine balise d'ouverture
+    if (!inPhp) {
+      const openIndex = content.indexOf('<?', pos);
+      if (openIndex === -1) break;
+      advance(openIndex - pos);
+
+      if (content.startsWith('<?php', pos)) {
+        advance(5);
+      } else if (content.startsWith('<?=', pos)) {
+        advance(3);
+      } else {
+        advance(2);
+      }
+      inPhp = true;
+      continue;
+    }
+
+    const char = content[pos];
+    const start = pos;
+
+    // Espaces
+    if (/\s/.test(char)) {
+      advance(1);
+      continue;
+    }
+
+    // Balise de fermeture → fin d'instruction
+    if (content.startsWith('?>', pos)) {
+      advance(2);
+      push('op', ';', start);
+      inPhp = false;
+      continue;
+    }
+
+    // Commentaires ligne (// et #, mais pas les attributs #[...])
+    if (content.startsWith('//', pos) || (char === '#' && content[pos + 1] !== '[')) {
+      while (pos < length && content[pos] !== '\n' && !content.startsWith('?>', pos)) {
+        advance(1);
+      }
+      continue;
+    }
+
+    // Commentaires bloc (et docblocks)
+    if (content.startsWith('/*', pos)) {
+      const endIndex = content.indexOf('*/', pos + 2);
+      advance(endIndex === -1 ? length - pos : endIndex + 2 - pos);
+      continue;
+    }
+
+    // Chaînes entre quotes simples (pas d'interpolation)
+    if (char === "'") {
+      advance(1);
+      let value = '';
+      while (pos < length && content[pos] !== "'") {
+        if (content[pos] === '\\' && (content[pos + 1] === "'" || content[pos + 1] === '\\')) {
+          value += content[pos + 1];
+          advance(2);
+        } else {
+          value += content[pos];
+          advance(1);
+        }
+      }
+      advance(1);
+      push('string', value, start);
+      continue;
+    }
+
+    // Chaînes entre quotes doubles (interpolation résolue à l'évaluation)
+    if (char === '"') {
+      advance(1);
+      let raw = '';
+      while (pos < length && content[pos] !== '"') {
+        if (content[pos] === '\\') {
+          raw += content.substr(pos, 2);
+          advance(2);
+        } else {
+          raw += content[pos];
+          advance(1);
+        }
+      }
+      advance(1);
+      push('string', raw, start, { interpolate: true });
+      continue;
+    }
+
+    // Heredoc / Nowdoc
+    const heredocMatch = content.slice(pos, pos + 200).match(/^<<<[ \t]*(['"]?)([A-Za-z_]\w*)\1\r?\n/);
+    if (heredocMatch) {
+      const label = heredocMatch[2];
+      const isNowdoc = heredocMatch[1] === "'";
+      advance(heredocMatch[0].length);
+
+      const bodyStart = pos;
+      const closingRegex = new RegExp(`^[ \\t]*${label}\\b`, 'm');
+      const closingMatch = closingRegex.exec(content.slice(bodyStart));
+      const bodyEnd = closingMatch ? bodyStart + closingMatch.index : length;
+      const body = content.slice(bodyStart, bodyEnd).replace(/\r?\n$/, '');
+
+      advance(closingMatch ? bodyEnd - pos + closingMatch[0].length : length - pos);
+      push('string', body, start, isNowdoc ? {} : { interpolate: true });
+      continue;
+    }
+
+    // Variables ($name)
+    if (char === '$' && /[A-Za-z_]/.test(content[pos + 1] || '')) {
+      advance(1);
+      const nameMatch = content.slice(pos).match(/^\w+/);
+      advance(nameMatch[0].length);
+      push('variable', nameMatch[0], start);
+      continue;
+    }
+
+    // Identifiants (mots-clés, fonctions, constantes, noms qualifiés \Foo\bar)
+    const identMatch = content.slice(pos, pos + 256).match(/^\\?[A-Za-z_]\w*(?:\\[A-Za-z_]\w*)*/);
+    if (identMatch) {
+      advance(identMatch[0].length);
+      // Retirer le namespace global (\get_template_directory_uri → get_template_directory_uri)
+      push('ident', identMatch[0].replace(/^\\/, ''), start);
+      continue;
+    }
+
+    // Nombres
+    const numberMatch = content.slice(pos, pos + 64).match(/^(?:0x[\da-f_]+|\d[\d_]*(?:\.\d+)?(?:e[+-]?\d+)?|\.\d+)/i);
+    if (numberMatch) {
+      advance(numberMatch[0].length);
+      push('number', numberMatch[0], start);
+      continue;
+    }
+
+    // Opérateurs et ponctuation
+    const operator = OPERATORS.find(op => content.startsWith(op, pos)) || char;
+    advance(operator.length);
+    push('op', operator, start);
+  }
+
+  return tokens;
+}
+
+/**
+ * ============================
+ * UTILITAIRES TOKENS
+ * ============================
+ */
+
+const OPENING = { '(': ')', '[': ']', '{': '}' };
+
+// Mots-clés suivis de parenthèses qui ne sont pas des appels de fonction
+const CONTROL_KEYWORDS = new Set([
+  'if', 'elseif', 'while', 'for', 'foreach', 'switch', 'catch', 'match', 'declare',
+  'array', 'list', 'isset', 'empty', 'unset', 'echo', 'print', 'return', 'new', 'fn', 'function',
+  'include', 'include_once', 'require', 'require_once', 'exit', 'die', 'eval',
+]);
+
+function isOp(token, value) {
+  return token && token.type === 'op' && token.value === value;
+}
+
+function isIdent(token, value) {
+  return token && token.type === 'ident' && token.value.toLowerCase() === value;
+}
+
+/**
+ * Trouve l'index du token fermant correspondant à l'ouvrant situé à `index`
+ * Retourne `end` si le fichier est mal formé
+ */
+function findClosing(tokens, index, end = tokens.length) {
+  const open = tokens[index].value;
+  const close = OPENING[open];
+  let depth = 0;
+
+  for (let i = index; i < end; i++) {
+    const token = tokens[i];
+    if (token.type !== 'op') continue;
+    // '${' et '{$' n'existent pas hors chaînes : seules les accolades comptent
+    if (token.value === open) depth++;
+    else if (token.value === close) {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+
+  return end;
+}
+
+/**
+ * Trouve la fin d'une expression : prochain ';' ou ',' au niveau 0, ou fermant orphelin
+ */
+function findExpressionEnd(tokens, start, end) {
+  for (let i = start; i < end; i++) {
+    const token = tokens[i];
+    if (token.type !== 'op') continue;
+    if (OPENING[token.value]) {
+      i = findClosing(tokens, i, end);
+      continue;
+    }
+    if (token.value === ';' || token.value === ',' || token.value === ')' || token.value === ']' || token.value === '}') {
+      return i;
+    }
+  }
+  return end;
+}
+
+/**
+ * Découpe les arguments d'un appel (tokens entre parenthèses) selon les virgules de niveau 0
+ * @returns {Array<[number, number]>} - Plages [début, fin[ de chaque argument
+ */
+function splitArguments(tokens, openIndex, closeIndex) {
+  const args = [];
+  let argStart = openIndex + 1;
+
+  for (let i = openIndex + 1; i < closeIndex; i++) {
+    const token = tokens[i];
+    if (token.type !== 'op') continue;
+    if (OPENING[token.value]) {
+      i = findClosing(tokens, i, closeIndex);
+      continue;
+    }
+    if (token.value === ',') {
+      args.push([argStart, i]);
+      argStart = i + 1;
+    }
+  }
+
+  if (argStart < closeIndex) {
+    args.push([argStart, closeIndex]);
+  }
+
+  return args;
+}
+
+/**
+ * Normalise un chemin évalué (racine du thème = '')
+ * dirname('/functions.php') → ''
+ */
+function phpDirname(path) {
+  const dir = posix.dirname(path);
+  return dir === '/' || dir === '.' ? '' : dir;
+}
+
+/**
+ * ============================
+ * ÉVALUATION D'EXPRESSIONS
+ * ============================
+ */
+
+// Fonctions WordPress retournant la racine du thème (URL ou chemin)
+const THEME_ROOT_FUNCTIONS = new Set([
+  'get_template_directory_uri',
+  'get_stylesheet_directory_uri',
+  'get_template_directory',
+  'get_stylesheet_directory',
+]);
+
+// Fonctions WordPress retournant un fichier du thème : get_theme_file_uri('js/main.js')
+const THEME_FILE_FUNCTIONS = new Set([
+  'get_theme_file_uri',
+  'get_theme_file_path',
+  'get_parent_theme_file_uri',
+  'get_parent_theme_file_path',
+]);
+
+// Fonctions transparentes (retournent leur premier argument)
+const IDENTITY_FUNCTIONS = new Set(['esc_url', 'esc_url_raw', 'esc_attr', 'strval', 'wp_normalize_path']);
+
+// Casts ignorés à l'évaluation : (string) $var
+const CASTS = new Set(['string', 'int', 'integer', 'bool', 'boolean', 'float', 'double', 'array', 'object']);
+
+/**
+ * Évalue une expression PHP sur une plage de tokens
+ * @returns {*} - Valeur JS (string, number, boolean, null, Array, Object, closure) ou undefined si non résolvable
+ */
+function evaluateRange(tokens, start, end, ctx) {
+  if (start >= end) return undefined;
+
+  const state = { tokens, pos: start, end, ctx };
+  const value = parseTernary(state);
+
+  // Tokens restants non consommés → expression non comprise
+  return state.pos === end ? value : undefined;
+}
+
+function peek(state, offset = 0) {
+  const index = state.pos + offset;
+  return index < state.end ? state.tokens[index] : undefined;
+}
+
+function parseTernary(state) {
+  const condition = parseCoalesce(state);
+
+  if (!isOp(peek(state), '?')) {
+    return condition;
+  }
+
+  state.pos++;
+
+  // Opérateur court : $a ?: $b
+  if (isOp(peek(state), ':')) {
+    state.pos++;
+    const fallback = parseTernary(state);
+    return condition ? condition : fallback;
+  }
+
+  const whenTrue = parseTernary(state);
+  if (!isOp(peek(state), ':')) return undefined;
+  state.pos++;
+  const whenFalse = parseTernary(state);
+
+  // Condition connue → branche correspondante, sinon première branche résolvable
+  if (condition !== undefined) {
+    return condition ? whenTrue : whenFalse;
+  }
+  return whenTrue !== undefined ? whenTrue : whenFalse;
+}
+
+function parseCoalesce(state) {
+  const left = parseLogical(state);
+
+  if (!isOp(peek(state), '??')) {
+    return left;
+  }
+
+  state.pos++;
+  const right = parseCoalesce(state);
+  return left !== undefined && left !== null ? left : right;
+}
+
+function parseLogical(state) {
+  let left = parseComparison(state);
+
+  while (peek(state) && (['&&', '||'].includes(peek(state).value) && peek(state).type === 'op'
+    || isIdent(peek(state), 'and') || isIdent(peek(state), 'or'))) {
+    state.pos++;
+    parseComparison(state);
+    left = undefined; // Conditions non évaluées
+  }
+
+  return left;
+}
+
+function parseComparison(state) {
+  let left = parseConcat(state);
+
+  while (peek(state) && peek(state).type === 'op'
+    && ['==', '===', '!=', '!==', '<>', '<', '>', '<=', '>=', '<=>'].includes(peek(state).value)) {
+    state.pos++;
+    parseConcat(state);
+    left = undefined;
+  }
+
+  return left;
+}
+
+function parseConcat(state) {
+  let left = parseUnary(state);
+
+  while (peek(state) && peek(state).type === 'op' && ['.', '+', '-', '*', '/', '%'].includes(peek(state).value)) {
+    const operator = peek(state).value;
+    state.pos++;
+    const right = parseUnary(state);
+
+    if (left === undefined || right === undefined) {
+      left = undefined;
+    } else if (operator === '.') {
+      left = toPhpString(left) + toPhpString(right);
+    } else if (typeof left === 'number' && typeof right === 'number') {
+      left = operator === '+' ? left + right
+        : operator === '-' ? left - right
+        : operator === '*' ? left * right
+        : operator === '/' ? left / right
+        : left % right;
+    } else {
+      left = undefined;
+    }
+  }
+
+  return left;
+}
+
+function parseUnary(state) {
+  const token = peek(state);
+
+  if (isOp(token, '!')) {
+    state.pos++;
+    const value = parseUnary(state);
+    return value === undefined ? undefined : !value;
+  }
+
+  if (isOp(token, '-')) {
+    state.pos++;
+    const value = parseUnary(state);
+    return typeof value === 'number' ? -value : undefined;
+  }
+
+  // Opérateur de silence d'erreur : @file_exists()
+  if (isOp(token, '@')) {
+    state.pos++;
+    return parseUnary(state);
+  }
+
+  // Cast : (string) $var
+  if (isOp(token, '(') && peek(state, 1)?.type === 'ident'
+    && CASTS.has(peek(state, 1).value.toLowerCase()) && isOp(peek(state, 2), ')')) {
+    state.pos += 3;
+    return parseUnary(state);
+  }
+
+  return parsePostfix(state);
+}
+
+function parsePostfix(state) {
+  let value = parsePrimary(state);
+
+  while (peek(state)) {
+    const token = peek(state);
+
+    // Accès tableau : $assets['main']
+    if (isOp(token, '[')) {
+      const close = findClosing(state.tokens, state.pos, state.end);
+      const key = evaluateRange(state.tokens, state.pos + 1, close, state.ctx);
+      state.pos = close + 1;
+      value = value !== undefined && value !== null && typeof value === 'object' && key !== undefined
+        ? value[key]
+        : undefined;
+      continue;
+    }
+
+    // Accès objet / statique : $theme->get('Version'), self::VERSION
+    if (isOp(token, '->') || isOp(token, '?->') || isOp(token, '::')) {
+      state.pos += 2;
+      if (isOp(peek(state), '(')) {
+        state.pos = findClosing(state.tokens, state.pos, state.end) + 1;
+      }
+      value = undefined;
+      continue;
+    }
+
+    // Appel d'une valeur (closure stockée dans une variable)
+    if (isOp(token, '(')) {
+      state.pos = findClosing(state.tokens, state.pos, state.end) + 1;
+      value = undefined;
+      continue;
+    }
+
+    break;
+  }
+
+  return value;
+}
+
+function parsePrimary(state) {
+  const token = peek(state);
+  if (!token) return undefined;
+
+  const { tokens, ctx } = state;
+
+  if (token.type === 'string') {
+    state.pos++;
+    return token.interpolate ? interpolateString(token.value, ctx) : token.value;
+  }
+
+  if (token.type === 'number') {
+    state.pos++;
+    return Number(token.value.replace(/_/g, ''));
+  }
+
+  if (token.type === 'variable') {
+    state.pos++;
+    return lookupVariable(ctx.scope, token.value);
+  }
+
+  if (isOp(token, '(')) {
+    const close = findClosing(tokens, state.pos, state.end);
+    const value = evaluateRange(tokens, state.pos + 1, close, ctx);
+    state.pos = close + 1;
+    return value;
+  }
+
+  // Tableau court : ['a', 'b'] ou ['handle' => 'src']
+  if (isOp(token, '[')) {
+    const close = findClosing(tokens, state.pos, state.end);
+    const value = evaluateArray(tokens, state.pos, close, ctx);
+    state.pos = close + 1;
+    return value;
+  }
+
+  if (token.type !== 'ident') {
+    state.pos++;
+    return undefined;
+  }
+
+  const name = token.value;
+  const lowerName = name.toLowerCase();
+
+  // Closures : function () use ($x) { ... } et fn () => ...
+  if (lowerName === 'static' && (isIdent(peek(state, 1), 'function') || isIdent(peek(state, 1), 'fn'))) {
+    state.pos++;
+    return parsePrimary(state);
+  }
+
+  if (lowerName === 'function' || lowerName === 'fn') {
+    const closure = readCallable(tokens, state.pos, state.end, ctx.file);
+    if (!closure) return undefined;
+    state.pos = closure.next;
+    return { closure: { ...closure, scope: ctx.scope, className: ctx.className } };
+  }
+
+  // Tableau long : array('a', 'b')
+  if (lowerName === 'array' && isOp(peek(state, 1), '(')) {
+    const close = findClosing(tokens, state.pos + 1, state.end);
+    const value = evaluateArray(tokens, state.pos + 1, close, ctx);
+    state.pos = close + 1;
+    return value;
+  }
+
+  if (lowerName === 'new') {
+    return parseNew(state);
+  }
+
+  if (isOp(peek(state, 1), '::') && peek(state, 2)?.type === 'ident') {
+    const member = peek(state, 2).value;
+
+    // Theme::class
+    if (member.toLowerCase() === 'class') {
+      state.pos += 3;
+      return resolveClassName(name, ctx) || name;
+    }
+
+    // Appel statique d'une méthode du thème : $theme = Theme::instance()
+    const callable = isOp(peek(state, 3), '(') ? resolveStaticMethod(name, member, ctx) : null;
+    if (callable) {
+      const open = state.pos + 3;
+      const close = findClosing(tokens, open, state.end);
+      const args = splitArguments(tokens, open, close).map(([s, e]) => evaluateRange(tokens, s, e, ctx));
+      state.pos = close + 1;
+      callUserCallable(callable, args, ctx);
+      return undefined;
+    }
+  }
+
+  // Appel de fonction
+  if (isOp(peek(state, 1), '(')) {
+    const open = state.pos + 1;
+    const close = findClosing(tokens, open, state.end);
+    const args = splitArguments(tokens, open, close).map(([s, e]) => evaluateRange(tokens, s, e, ctx));
+    state.pos = close + 1;
+    return evaluateFunctionCall(lowerName, args, ctx);
+  }
+
+  state.pos++;
+
+  // Constantes magiques
+  if (name === '__DIR__') return ctx.dir;
+  if (name === '__FILE__') return ctx.filePath;
+  if (name === '__CLASS__') return ctx.className || '';
+
+  if (lowerName === 'true') return true;
+  if (lowerName === 'false') return false;
+  if (lowerName === 'null') return null;
+
+  // Constantes utilisateur (define/const)
+  if (Object.prototype.hasOwnProperty.call(ctx.program.constants, name)) {
+    return ctx.program.constants[name];
+  }
+
+  return undefined;
+}
+
+/**
+ * new Theme(...) : le constructeur d'une classe du thème est exécuté (add_action dans __construct)
+ * L'instance n'est pas modélisée : la valeur reste non résolue
+ */
+function parseNew(state) {
+  const { tokens, ctx } = state;
+  const classToken = peek(state, 1);
+
+  // new class {...}, new $className() : non suivis
+  if (classToken?.type !== 'ident' || isIdent(classToken, 'class')) {
+    state.pos = state.end;
+    return undefined;
+  }
+
+  state.pos += 2;
+
+  let args = [];
+  if (isOp(peek(state), '(')) {
+    const close = findClosing(tokens, state.pos, state.end);
+    args = splitArguments(tokens, state.pos, close).map(([s, e]) => evaluateRange(tokens, s, e, ctx));
+    state.pos = close + 1;
+  }
+
+  const className = resolveClassName(classToken.value, ctx);
+  if (className) {
+    callUserCallable(findMethod(ctx.program, className, '__construct', false), args, ctx);
+  }
+
+  return undefined;
+}
+
+/**
+ * Évalue un tableau PHP (contenu entre `open` et `close`)
+ * Retourne un Array si toutes les clés sont implicites, sinon un Object
+ */
+function evaluateArray(tokens, open, close, ctx) {
+  const entries = [];
+  let hasKeys = false;
+
+  for (const [start, end] of splitArguments(tokens, open, close)) {
+    // Chercher '=>' au niveau 0
+    let arrow = -1;
+    for (let i = start; i < end; i++) {
+      if (tokens[i].type === 'op' && OPENING[tokens[i].value]) {
+        i = findClosing(tokens, i, end);
+        continue;
+      }
+      if (isOp(tokens[i], '=>')) {
+        arrow = i;
+        break;
+      }
+    }
+
+    if (arrow === -1) {
+      entries.push([undefined, evaluateRange(tokens, start, end, ctx)]);
+    } else {
+      hasKeys = true;
+      entries.push([evaluateRange(tokens, start, arrow, ctx), evaluateRange(tokens, arrow + 1, end, ctx)]);
+    }
+  }
+
+  if (!hasKeys) {
+    return entries.map(([, value]) => value);
+  }
+
+  const object = {};
+  let index = 0;
+  for (const [key, value] of entries) {
+    if (key === undefined) {
+      object[index++] = value;
+    } else {
+      object[key] = value;
+    }
+  }
+  return object;
+}
+
+/**
+ * Évalue un appel de fonction connue
+ */
+function evaluateFunctionCall(name, args, ctx) {
+  if (THEME_ROOT_FUNCTIONS.has(name)) {
+    return '';
+  }
+
+  if (THEME_FILE_FUNCTIONS.has(name)) {
+    if (args.length === 0) return '';
+    return typeof args[0] === 'string' ? '/' + args[0].replace(/^\//, '') : undefined;
+  }
+
+  if (IDENTITY_FUNCTIONS.has(name)) {
+    return args[0];
+  }
+
+  if (typeof args[0] !== 'string') {
+    return undefined;
+  }
+
+  switch (name) {
+    case 'trailingslashit':
+      return args[0].replace(/\/+$/, '') + '/';
+    case 'untrailingslashit':
+      return args[0].replace(/\/+$/, '');
+    case 'dirname':
+      return phpDirname(args[0]);
+    case 'basename':
+      return posix.basename(args[0]);
+    case 'constant':
+      return ctx.program.constants[args[0]];
+    case 'sprintf':
+      return evaluateSprintf(args);
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * sprintf() limité aux %s / %d
+ */
+function evaluateSprintf([format, ...values]) {
+  let index = 0;
+  let resolved = true;
+  const result = format.replace(/%(?:(\d+)\$)?[sd]/g, (match, position) => {
+    const value = values[position ? Number(position) - 1 : index++];
+    if (value === undefined) resolved = false;
+    return toPhpString(value);
+  });
+  return resolved ? result : undefined;
+}
+
+/**
+ * Conversion PHP vers chaîne (true → '1', false/null → '')
+ */
+function toPhpString(value) {
+  if (value === true) return '1';
+  if (value === false || value === null || value === undefined) return '';
+  return String(value);
+}
+
+/**
+ * Interpole une chaîne entre quotes doubles : "$dir/js/{$name}.min.js"
+ * - Syntaxe simple : $var, $var[clé], $var->prop
+ * - Syntaxe complexe : {$a['k']}, {$obj->prop}, ${var} (évaluée comme une expression)
+ * Une valeur non résolue ou non scalaire (tableau, objet) rend toute la chaîne non résolue
+ */
+function interpolateString(raw, ctx) {
+  let result = '';
+  let resolved = true;
+
+  const append = (value) => {
+    if (value === undefined || (value !== null && typeof value === 'object')) {
+      resolved = false;
+    } else {
+      result += toPhpString(value);
+    }
+  };
+
+  for (let i = 0; i < raw.length; i++) {
+    const char = raw[i];
+
+    // Séquences d'échappement
+    if (char === '\\' && /[nrt"\\$]/.test(raw[i + 1] || '')) {
+      const escaped = raw[++i];
+      result += { n: '\n', r: '\r', t: '\t' }[escaped] || escaped;
+      continue;
+    }
+
+    // Syntaxe complexe : {$expression} et ${var}
+    const isBraced = char === '{' && raw[i + 1] === '$' && /[A-Za-z_]/.test(raw[i + 2] || '');
+    const isDollarBraced = char === '$' && raw[i + 1] === '{';
+    if (isBraced || isDollarBraced) {
+      const close = findInterpolationEnd(raw, isBraced ? i : i + 1);
+      if (close === -1) {
+        resolved = false;
+        break;
+      }
+
+      const expression = raw.slice(isBraced ? i + 1 : i + 2, close);
+      append(evaluateCode(isBraced ? expression : `$${expression}`, ctx));
+      i = close;
+      continue;
+    }
+
+    // Syntaxe simple : $var, $var[0], $var[cle], $var[$i], $var->prop
+    const simpleMatch = char === '$' && raw.slice(i).match(/^\$([A-Za-z_]\w*)(?:\[(-?\d+|[A-Za-z_]\w*|\$[A-Za-z_]\w*)\]|->([A-Za-z_]\w*))?/);
+    if (simpleMatch) {
+      const [match, name, key, property] = simpleMatch;
+      let expression = `$${name}`;
+      if (key !== undefined) {
+        expression += /^(-?\d+|\$.*)$/.test(key) ? `[${key}]` : `['${key}']`;
+      } else if (property !== undefined) {
+        expression += `->${property}`;
+      }
+
+      append(evaluateCode(expression, ctx));
+      i += match.length - 1;
+      continue;
+    }
+
+    result += char;
+  }
+
+  return resolved ? result : undefined;
+}
+
+/**
+ * Trouve l'accolade fermant une interpolation complexe (les chaînes de l'expression sont sautées)
+ * @returns {number} - Index de l'accolade fermante, -1 si absente
+ */
+function findInterpolationEnd(raw, open) {
+  let depth = 0;
+
+  for (let i = open; i < raw.length; i++) {
+    const char = raw[i];
+
+    if (char === "'" || char === '"') {
+      const closingQuote = raw.indexOf(char, i + 1);
+      if (closingQuote === -1) return -1;
+      i = closingQuote;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}' && --depth === 0) {
+      return i;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Évalue un fragment de code PHP (expression interpolée dans une chaîne)
+ */
+function evaluateCode(code, ctx) {
+  const tokens = tokenizePhp(`<?php ${code}`);
+  return evaluateRange(tokens, 0, tokens.length, ctx);
+}
+
+function lookupVariable(scope, name) {
+  return name in scope ? scope[name] : undefined;
+}
+
+/**
+ * ============================
+ * DÉFINITIONS (fonctions, méthodes, closures)
+ * ============================
+ */
+
+/**
+ * Lit une fonction (nommée, closure ou fonction fléchée) à partir du mot-clé `function`/`fn`
+ * @returns {Object|null} - { name, params, bodyStart, bodyEnd, isArrow, next, file }
+ */
+function readCallable(tokens, index, end, file) {
+  const isArrow = isIdent(tokens[index], 'fn');
+  let i = index + 1;
+
+  // Retour par référence : function &foo()
+  if (isOp(tokens[i], '&')) i++;
+
+  let name = null;
+  if (tokens[i]?.type === 'ident') {
+    name = tokens[i].value;
+    i++;
+  }
+
+  if (!isOp(tokens[i], '(')) return null;
+
+  const paramsClose = findClosing(tokens, i, end);
+  const params = readParameters(tokens, i, paramsClose);
+  i = paramsClose + 1;
+
+  // use ($var, &$other)
+  let uses = [];
+  if (isIdent(tokens[i], 'use') && isOp(tokens[i + 1], '(')) {
+    const usesClose = findClosing(tokens, i + 1, end);
+    uses = tokens.slice(i + 2, usesClose).filter(t => t.type === 'variable').map(t => t.value);
+    i = usesClose + 1;
+  }
+
+  if (isArrow) {
+    // fn() => expression
+    while (i < end && !isOp(tokens[i], '=>')) i++;
+    const exprEnd = findExpressionEnd(tokens, i + 1, end);
+    return { name, params, uses, bodyStart: i + 1, bodyEnd: exprEnd, isArrow, next: exprEnd, file };
+  }
+
+  // Type de retour éventuel : function foo(): void {
+  while (i < end && !isOp(tokens[i], '{') && !isOp(tokens[i], ';')) i++;
+
+  // Méthode abstraite / d'interface : pas de corps
+  if (!isOp(tokens[i], '{')) {
+    return { name, params, uses, bodyStart: i, bodyEnd: i, isArrow, next: i + 1, file };
+  }
+
+  const bodyEnd = findClosing(tokens, i, end);
+  return { name, params, uses, bodyStart: i + 1, bodyEnd, isArrow, next: bodyEnd + 1, file };
+}
+
+/**
+ * Lit la liste des paramètres : ($handle, $src = '', ...$rest)
+ */
+function readParameters(tokens, open, close) {
+  return splitArguments(tokens, open, close)
+    .map(([start, end]) => {
+      const variableIndex = tokens.slice(start, end).findIndex(t => t.type === 'variable');
+      if (variableIndex === -1) return null;
+
+      const index = start + variableIndex;
+      const hasDefault = isOp(tokens[index + 1], '=');
+      return {
+        name: tokens[index].value,
+        defaultStart: hasDefault ? index + 2 : null,
+        defaultEnd: hasDefault ? end : null,
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Clé d'une classe : nom sans namespace, en minuscules (\Theme\Setup → setup)
+ */
+function getClassKey(name) {
+  return name.split('\\').pop().toLowerCase();
+}
+
+/**
+ * Collecte les fonctions, classes et méthodes de classe d'un fichier (passe 1)
+ * Les fonctions déclarées dans des blocs (if (!function_exists(...)) { ... }) sont incluses
+ */
+function collectDefinitions(file, program) {
+  const { tokens } = file;
+
+  // Repérer les corps de classes pour distinguer méthodes et fonctions
+  const classRanges = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type !== 'ident' || !['class', 'trait', 'interface', 'enum'].includes(token.value.toLowerCase())) continue;
+    // Ignorer Foo::class
+    if (isOp(tokens[i - 1], '::')) continue;
+
+    let j = i + 1;
+    let parent = null;
+    while (j < tokens.length && !isOp(tokens[j], '{') && !isOp(tokens[j], ';')) {
+      if (isIdent(tokens[j], 'extends') && tokens[j + 1]?.type === 'ident') {
+        parent = getClassKey(tokens[j + 1].value);
+      }
+      j++;
+    }
+    if (!isOp(tokens[j], '{')) continue;
+
+    // Classe anonyme (new class {...}) : méthodes sans classe connue
+    let classInfo = null;
+    if (tokens[i + 1]?.type === 'ident') {
+      const key = getClassKey(tokens[i + 1].value);
+      classInfo = program.classes.get(key) || { name: tokens[i + 1].value, parent, methods: new Map() };
+      program.classes.set(key, classInfo);
+    }
+
+    classRanges.push([j, findClosing(tokens, j), classInfo]);
+  }
+
+  for (let i = 0; i < tokens.length; i++) {
+    if (!isIdent(tokens[i], 'function')) continue;
+
+    const callable = readCallable(tokens, i, tokens.length, file);
+    if (!callable || !callable.name) continue;
+
+    const key = callable.name.toLowerCase();
+
+    // Classe la plus interne contenant la déclaration
+    const classRange = classRanges
+      .filter(([open, close]) => i > open && i < close)
+      .reduce((inner, range) => (!inner || range[0] > inner[0] ? range : inner), null);
+
+    if (!classRange) {
+      // Première définition gagnante (comme function_exists())
+      if (!program.functions.has(key)) {
+        program.functions.set(key, callable);
+      }
+      continue;
+    }
+
+    const classInfo = classRange[2];
+    callable.className = classInfo ? classInfo.name : null;
+    program.classMethods.push(callable);
+
+    if (classInfo && !classInfo.methods.has(key)) {
+      classInfo.methods.set(key, callable);
+    }
+    if (!program.methods.has(key)) {
+      program.methods.set(key, callable);
+    }
+  }
+}
+
+/**
+ * Trouve une méthode d'une classe du thème, en remontant les classes parentes connues
+ * Sans classe (ou méthode héritée d'un trait) : première méthode du thème portant ce nom
+ *
+ * @param {boolean} [fallback=true] - Chercher parmi toutes les méthodes si la classe ne la déclare pas
+ */
+function findMethod(program, className, methodName, fallback = true) {
+  const key = methodName.toLowerCase();
+  const visited = new Set();
+  let classInfo = className ? program.classes.get(getClassKey(className)) : null;
+
+  while (classInfo && !visited.has(classInfo)) {
+    if (classInfo.methods.has(key)) {
+      return classInfo.methods.get(key);
+    }
+    visited.add(classInfo);
+    classInfo = classInfo.parent ? program.classes.get(classInfo.parent) : null;
+  }
+
+  return fallback ? program.methods.get(key) || null : null;
+}
+
+/**
+ * Résout le nom de classe d'un appel statique ou d'un new (self, static, parent → classe courante)
+ * @returns {string|null} - null si la classe n'est pas une classe du thème
+ */
+function resolveClassName(name, ctx) {
+  const lowerName = name.toLowerCase();
+
+  if (lowerName === 'self' || lowerName === 'static') {
+    return ctx.className;
+  }
+
+  if (lowerName === 'parent') {
+    const classInfo = ctx.className ? ctx.program.classes.get(getClassKey(ctx.className)) : null;
+    return classInfo?.parent && ctx.program.classes.has(classInfo.parent) ? ctx.program.classes.get(classInfo.parent).name : null;
+  }
+
+  return ctx.program.classes.has(getClassKey(name)) ? name : null;
+}
+
+/**
+ * Méthode appelée statiquement : self::enqueue(), parent::init(), Theme::init()
+ * @returns {Object|null} - null si la classe n'est pas une classe du thème
+ */
+function resolveStaticMethod(owner, methodName, ctx) {
+  // Hors d'une classe connue (closure de premier niveau...) : première méthode du thème portant ce nom
+  if (['self', 'static'].includes(owner.toLowerCase())) {
+    return findMethod(ctx.program, ctx.className, methodName);
+  }
+
+  const className = resolveClassName(owner, ctx);
+  return className ? findMethod(ctx.program, className, methodName) : null;
+}
+
+/**
+ * ============================
+ * EXÉCUTION (parcours des instructions)
+ * ============================
+ */
+
+// Fonctions d'enqueue reconnues et type d'asset correspondant
+const ENQUEUE_FUNCTIONS = {
+  wp_enqueue_script: 'script',
+  wp_register_script: 'script',
+  wp_enqueue_script_module: 'script',
+  wp_register_script_module: 'script',
+  wp_enqueue_style: 'style',
+  wp_register_style: 'style',
+};
+
+// Nombre maximum d'appels imbriqués de fonctions utilisateur (et d'includes imbriqués)
+const MAX_CALL_DEPTH = 20;
+
+// Instructions d'inclusion de fichiers
+const INCLUDE_KEYWORDS = new Set(['require', 'require_once', 'include', 'include_once']);
+
+/**
+ * Crée un contexte d'exécution pour un fichier
+ * className : classe de la méthode en cours d'exécution (self::, $this->, __CLASS__)
+ */
+function createContext(program, file, scope, hook = null, depth = 0, className = null) {
+  const filePath = '/' + file.path.replace(/^\//, '');
+  return {
+    program,
+    file,
+    scope,
+    hook,
+    depth,
+    className,
+    filePath,
+    dir: phpDirname(filePath),
+  };
+}
+
+/**
+ * Parcourt une plage de tokens instruction par instruction
+ * Les blocs (if, else, foreach, switch...) sont traversés linéairement : toutes les branches sont exécutées
+ */
+function walkStatements(tokens, start, end, ctx) {
+  for (let i = start; i < end; i++) {
+    const token = tokens[i];
+
+    // Déclarations : fonctions nommées (déjà collectées) et classes → ignorer le corps
+    if (isIdent(token, 'function') || isIdent(token, 'fn')) {
+      const callable = readCallable(tokens, i, end, ctx.file);
+      if (callable) i = callable.next - 1;
+      continue;
+    }
+
+    if (token.type === 'ident' && ['class', 'trait', 'interface', 'enum'].includes(token.value.toLowerCase())
+      && !isOp(tokens[i - 1], '::') && tokens[i + 1]?.type === 'ident') {
+      let j = i + 1;
+      while (j < end && !isOp(tokens[j], '{') && !isOp(tokens[j], ';')) j++;
+      i = isOp(tokens[j], '{') ? findClosing(tokens, j, end) : j;
+      continue;
+    }
+
+    // const NOM = valeur;
+    if (isIdent(token, 'const') && tokens[i + 1]?.type === 'ident' && isOp(tokens[i + 2], '=')) {
+      const exprEnd = findExpressionEnd(tokens, i + 3, end);
+      ctx.program.constants[tokens[i + 1].value] = evaluateRange(tokens, i + 3, exprEnd, ctx);
+      i = exprEnd;
+      continue;
+    }
+
+    // require/include 'fichier.php' : le fichier est chargé et exécuté dans le scope courant
+    if (token.type === 'ident' && INCLUDE_KEYWORDS.has(token.value.toLowerCase())) {
+      const exprEnd = findExpressionEnd(tokens, i + 1, end);
+      includeFile(evaluateRange(tokens, i + 1, exprEnd, ctx), ctx);
+      i = exprEnd;
+      continue;
+    }
+
+    // foreach ($items as $key => $value) { ... }
+    if (isIdent(token, 'foreach') && isOp(tokens[i + 1], '(')) {
+      i = walkForeach(tokens, i, end, ctx);
+      continue;
+    }
+
+    // new Theme() hors affectation : le constructeur est exécuté à l'évaluation
+    if (isIdent(token, 'new')) {
+      const exprEnd = findExpressionEnd(tokens, i, end);
+      evaluateRange(tokens, i, exprEnd, ctx);
+      i = exprEnd;
+      continue;
+    }
+
+    // Affectations : $var = ..., $var .= ..., $var[] = ..., $var['key'] = ...
+    if (token.type === 'variable' && !isOp(tokens[i - 1], '->') && !isOp(tokens[i - 1], '::')) {
+      const next = walkAssignment(tokens, i, end, ctx);
+      if (next !== null) {
+        i = next;
+      }
+      continue;
+    }
+
+    // Appels de fonctions
+    if (token.type === 'ident' && isOp(tokens[i + 1], '(')) {
+      const lowerName = token.value.toLowerCase();
+
+      if (CONTROL_KEYWORDS.has(lowerName) || isIdent(tokens[i - 1], 'function') || isIdent(tokens[i - 1], 'new')) {
+        continue;
+      }
+
+      const close = findClosing(tokens, i + 1, end);
+      const isMethodCall = isOp(tokens[i - 1], '->') || isOp(tokens[i - 1], '::');
+
+      if (isMethodCall) {
+        // $this->enqueue_assets(), self::enqueue(), Theme::init() : suivre la méthode si elle est connue
+        const owner = tokens[i - 2];
+        let callable = null;
+        if (isOp(tokens[i - 1], '->') && owner?.type === 'variable' && owner.value === 'this') {
+          callable = findMethod(ctx.program, ctx.className, lowerName);
+        } else if (isOp(tokens[i - 1], '::') && owner?.type === 'ident') {
+          callable = resolveStaticMethod(owner.value, lowerName, ctx);
+        }
+
+        if (handleUserCall(callable, tokens, i + 1, close, ctx)) {
+          i = close;
+        }
+        continue;
+      }
+
+      if (handleCall(lowerName, tokens, i + 1, close, ctx)) {
+        i = close;
+      }
+    }
+  }
+}
+
+/**
+ * Gère une affectation de variable
+ * @returns {number|null} - Index du dernier token consommé, ou null si ce n'est pas une affectation
+ */
+function walkAssignment(tokens, index, end, ctx) {
+  const name = tokens[index].value;
+  let i = index + 1;
+  const keys = [];
+
+  // $var[...][...]
+  while (isOp(tokens[i], '[')) {
+    const close = findClosing(tokens, i, end);
+    keys.push(close === i + 1 ? null : evaluateRange(tokens, i + 1, close, ctx));
+    i = close + 1;
+  }
+
+  const operator = tokens[i];
+  if (!isOp(operator, '=') && !isOp(operator, '.=') && !isOp(operator, '??=')) {
+    return null;
+  }
+
+  // Affectation par référence : $a = &$b
+  const valueStart = isOp(tokens[i + 1], '&') ? i + 2 : i + 1;
+  const exprEnd = findExpressionEnd(tokens, valueStart, end);
+  let value = evaluateRange(tokens, valueStart, exprEnd, ctx);
+
+  if (keys.length === 0) {
+    const current = lookupVariable(ctx.scope, name);
+    if (operator.value === '.=') {
+      value = current === undefined || value === undefined ? undefined : toPhpString(current) + toPhpString(value);
+    } else if (operator.value === '??=') {
+      value = current !== undefined && current !== null ? current : value;
+    }
+    ctx.scope[name] = value;
+    return exprEnd;
+  }
+
+  // Écriture dans un tableau (un seul niveau suivi)
+  let container = lookupVariable(ctx.scope, name);
+  if (container === undefined || container === null) {
+    container = [];
+  }
+  if (typeof container !== 'object') {
+    return exprEnd;
+  }
+
+  // Copie pour ne pas modifier la valeur d'un scope parent
+  container = Array.isArray(container) ? [...container] : { ...container };
+  const key = keys[0];
+
+  if (key === null) {
+    if (Array.isArray(container)) container.push(value);
+    else container[Object.keys(container).length] = value;
+  } else if (key !== undefined) {
+    if (Array.isArray(container) && typeof key !== 'number') {
+      container = Object.assign({}, container);
+    }
+    container[key] = keys.length === 1 ? value : undefined;
+  }
+
+  ctx.scope[name] = container;
+  return exprEnd;
+}
+
+/**
+ * Exécute un foreach : le corps est parcouru pour chaque élément si le tableau est résolu,
+ * sinon une seule fois avec des variables non résolues
+ * @returns {number} - Index du dernier token du foreach
+ */
+function walkForeach(tokens, index, end, ctx) {
+  const headerClose = findClosing(tokens, index + 1, end);
+
+  // Trouver le mot-clé `as`
+  let asIndex = index + 2;
+  while (asIndex < headerClose && !isIdent(tokens[asIndex], 'as')) asIndex++;
+
+  const iterable = evaluateRange(tokens, index + 2, asIndex, ctx);
+  const targets = tokens.slice(asIndex + 1, headerClose);
+  const arrowIndex = targets.findIndex(t => isOp(t, '=>'));
+  const keyName = arrowIndex !== -1 ? targets.slice(0, arrowIndex).find(t => t.type === 'variable')?.value : null;
+  const valueName = targets.slice(arrowIndex + 1).find(t => t.type === 'variable')?.value;
+
+  // Corps : { ... } ou instruction unique
+  let bodyStart = headerClose + 1;
+  let bodyEnd;
+  if (isOp(tokens[bodyStart], '{')) {
+    bodyEnd = findClosing(tokens, bodyStart, end);
+    bodyStart++;
+  } else if (isOp(tokens[bodyStart], ':')) {
+    // Syntaxe alternative : foreach (...): ... endforeach;
+    bodyStart++;
+    bodyEnd = bodyStart;
+    while (bodyEnd < end && !isIdent(tokens[bodyEnd], 'endforeach')) bodyEnd++;
+  } else {
+    bodyEnd = bodyStart;
+    while (bodyEnd < end && !isOp(tokens[bodyEnd], ';')) {
+      if (tokens[bodyEnd].type === 'op' && OPENING[tokens[bodyEnd].value]) {
+        bodyEnd = findClosing(tokens, bodyEnd, end);
+      }
+      bodyEnd++;
+    }
+  }
+
+  const entries = iterable !== null && typeof iterable === 'object'
+    ? Object.entries(iterable).map(([key, value]) => [Array.isArray(iterable) ? Number(key) : key, value])
+    : [[undefined, undefined]];
+
+  for (const [key, value] of entries) {
+    if (keyName) ctx.scope[keyName] = key;
+    if (valueName) ctx.scope[valueName] = value;
+    walkStatements(tokens, bodyStart, bodyEnd, ctx);
+  }
+
+  return bodyEnd;
+}
+
+/**
+ * Gère un appel de fonction pendant le parcours
+ * @returns {boolean} - true si l'appel a été traité (les arguments ne doivent pas être parcourus)
+ */
+function handleCall(name, tokens, open, close, ctx) {
+  const args = splitArguments(tokens, open, close);
+  const evaluateArg = (index) => args[index] ? evaluateRange(tokens, args[index][0], args[index][1], ctx) : undefined;
+
+  // define('NOM', valeur)
+  if (name === 'define') {
+    const constantName = evaluateArg(0);
+    if (typeof constantName === 'string') {
+      ctx.program.constants[constantName] = evaluateArg(1);
+    }
+    return true;
+  }
+
+  // add_action('hook', callback, priorité) : mise en file d'attente
+  if (name === 'add_action') {
+    const hook = evaluateArg(0);
+    const callable = args[1] ? resolveCallback(tokens, args[1][0], args[1][1], ctx) : null;
+
+    if (typeof hook === 'string' && callable) {
+      ctx.program.actions.push({ hook, callable });
+    }
+    return true;
+  }
+
+  // wp_enqueue_script('handle', $src, ...), wp_enqueue_style(...)
+  if (ENQUEUE_FUNCTIONS[name]) {
+    if (ctx.hook && args[1]) {
+      recordEnqueue(ctx, {
+        func: name,
+        type: ENQUEUE_FUNCTIONS[name],
+        handle: evaluateArg(0),
+        range: args[1],
+        tokens,
+      });
+    }
+    return true;
+  }
+
+  // add_editor_style('css/editor.css') ou add_editor_style(['a.css', 'b.css'])
+  if (name === 'add_editor_style') {
+    if (args[0]) {
+      recordEnqueue(ctx, {
+        func: name,
+        type: 'editor-style',
+        handle: undefined,
+        range: args[0],
+        tokens,
+        hook: ctx.hook || 'after_setup_theme',
+      });
+    }
+    return true;
+  }
+
+  // register_block_type(__DIR__ . '/blocks/hero') : dossier du bloc ou chemin vers son block.json
+  if (name === 'register_block_type' || name === 'register_block_type_from_metadata') {
+    const path = evaluateArg(0);
+    if (typeof path === 'string') {
+      ctx.program.blocks.push({ path, file: ctx.file.path, line: tokens[open].line });
+    }
+    return true;
+  }
+
+  // get_template_part('template-parts/header', 'home') → header-home.php, sinon header.php
+  if (name === 'get_template_part') {
+    const slug = evaluateArg(0);
+    const variant = evaluateArg(1);
+    if (typeof slug === 'string') {
+      const candidates = typeof variant === 'string' && variant ? [`${slug}-${variant}.php`, `${slug}.php`] : [`${slug}.php`];
+      includeFirstExisting(candidates.map(candidate => '/' + candidate.replace(/^\//, '')), ctx);
+    }
+    return true;
+  }
+
+  // locate_template(['a.php', 'b.php'], true) : inclus uniquement si $load vaut true
+  if (name === 'locate_template') {
+    const templates = evaluateArg(0);
+    if (evaluateArg(1) === true) {
+      const candidates = (Array.isArray(templates) ? templates : [templates]).filter(t => typeof t === 'string');
+      includeFirstExisting(candidates.map(candidate => '/' + candidate.replace(/^\//, '')), ctx);
+    }
+    return true;
+  }
+
+  // load_template(get_template_directory() . '/inc/x.php')
+  if (name === 'load_template') {
+    includeFile(evaluateArg(0), ctx);
+    return true;
+  }
+
+  // Fonctions du thème appelées depuis un hook : suivre l'appel
+  if (ctx.program.functions.has(name)) {
+    return handleUserCall(ctx.program.functions.get(name), tokens, open, close, ctx);
+  }
+
+  return false;
+}
+
+/**
+ * Exécute une fonction ou méthode du thème appelée pendant le parcours
+ */
+function handleUserCall(callable, tokens, open, close, ctx) {
+  if (!callable || ctx.depth >= MAX_CALL_DEPTH) {
+    return false;
+  }
+
+  const args = splitArguments(tokens, open, close).map(([s, e]) => evaluateRange(tokens, s, e, ctx));
+  return callUserCallable(callable, args, ctx);
+}
+
+/**
+ * Exécute une fonction ou méthode du thème avec des arguments déjà évalués
+ * @returns {boolean} - false si non connue ou profondeur d'appels maximale atteinte
+ */
+function callUserCallable(callable, args, ctx) {
+  if (!callable || ctx.depth >= MAX_CALL_DEPTH) {
+    return false;
+  }
+
+  runCallable(ctx.program, callable, ctx.hook, args, ctx.depth + 1);
+  return true;
+}
+
+/**
+ * Convertit le chemin évalué d'un include en chemin relatif au thème
+ * - '/inc/x.php' (depuis get_template_directory() ou __DIR__) → 'inc/x.php'
+ * - 'x.php' (relatif) → résolu depuis le dossier du fichier courant
+ * @returns {string|null} - null si non résolu ou hors du thème
+ */
+function resolveIncludePath(value, ctx) {
+  if (typeof value !== 'string' || !value.endsWith('.php') || /^(?:[a-z]+:)?\/\//i.test(value)) {
+    return null;
+  }
+
+  const absolute = value.startsWith('/') ? value : `${ctx.dir}/${value}`;
+  const normalized = posix.normalize(absolute).replace(/^\/+/, '');
+
+  return normalized.startsWith('..') ? null : normalized;
+}
+
+/**
+ * Charge et exécute un fichier inclus (une seule fois par fichier : protection contre les cycles)
+ * @returns {boolean} - true si le fichier existe (même s'il était déjà inclus)
+ */
+function includeFile(value, ctx) {
+  const path = resolveIncludePath(value, ctx);
+  const { program } = ctx;
+
+  if (!path || ctx.depth >= MAX_CALL_DEPTH) {
+    return false;
+  }
+
+  if (program.included.has(path)) {
+    return true;
+  }
+
+  const content = program.loadFile(path);
+  if (typeof content !== 'string') {
+    return false;
+  }
+
+  program.included.add(path);
+  const file = parseFile(path, content);
+  collectDefinitions(file, program);
+  walkStatements(file.tokens, 0, file.tokens.length, createContext(program, file, ctx.scope, ctx.hook, ctx.depth + 1));
+
+  return true;
+}
+
+/**
+ * Inclut le premier fichier existant parmi une liste (comportement de locate_template())
+ */
+function includeFirstExisting(candidates, ctx) {
+  for (const candidate of candidates) {
+    if (includeFile(candidate, ctx)) return;
+  }
+}
+
+/**
+ * Résout le callback d'un add_action
+ * Supporte : 'nom_fonction', function() {}, fn() =>, [$this, 'methode'], array(__CLASS__, 'methode'), 'Classe::methode', $closure
+ */
+function resolveCallback(tokens, start, end, ctx) {
+  const value = evaluateRange(tokens, start, end, ctx);
+
+  if (value && typeof value === 'object' && value.closure) {
+    return value.closure;
+  }
+
+  if (typeof value === 'string') {
+    const [className, methodName] = value.includes('::') ? value.split('::') : [null, value];
+    return className
+      ? findMethod(ctx.program, className, methodName)
+      : ctx.program.functions.get(methodName.toLowerCase()) || null;
+  }
+
+  // [$this, 'methode'], [__CLASS__, 'methode'], [Theme::class, 'methode'] ($this : classe courante)
+  if (Array.isArray(value) && value.length === 2 && typeof value[1] === 'string') {
+    const className = typeof value[0] === 'string' && value[0] ? value[0] : ctx.className;
+    return findMethod(ctx.program, className, value[1]) || ctx.program.functions.get(value[1].toLowerCase()) || null;
+  }
+
+  return null;
+}
+
+/**
+ * Exécute le corps d'une fonction/closure pour un hook donné
+ */
+function runCallable(program, callable, hook, args = [], depth = 0) {
+  const file = callable.file;
+  const parentScope = callable.scope || program.globals;
+  const scope = Object.create(parentScope);
+  const ctx = createContext(program, file, scope, hook, depth, callable.className || null);
+
+  program.executed.add(callable);
+
+  // Lier les paramètres (valeur passée, sinon valeur par défaut)
+  callable.params.forEach((param, index) => {
+    if (index < args.length) {
+      scope[param.name] = args[index];
+    } else if (param.defaultStart !== null) {
+      scope[param.name] = evaluateRange(file.tokens, param.defaultStart, param.defaultEnd, ctx);
+    }
+  });
+
+  walkStatements(file.tokens, callable.bodyStart, callable.bodyEnd, ctx);
+}
+
+/**
+ * Enregistre un enqueue détecté
+ * Les chemins non résolus gardent les littéraux de l'expression pour un fallback par nom de fichier
+ */
+function recordEnqueue(ctx, { func, type, handle, range, tokens, hook = ctx.hook }) {
+  const [start, end] = range;
+  const value = evaluateRange(tokens, start, end, ctx);
+  const raw = ctx.file.content.slice(tokens[start].start, tokens[end - 1].end);
+  const literals = tokens.slice(start, end).filter(t => t.type === 'string').map(t => t.value);
+
+  // add_editor_style() accepte un tableau de fichiers
+  const sources = Array.isArray(value) ? value : [value];
+
+  for (const src of sources) {
+    ctx.program.enqueues.push({
+      hook,
+      func,
+      type,
+      handle: typeof handle === 'string' ? handle : null,
+      src: typeof src === 'string' ? src : null,
+      raw,
+      literals,
+      file: ctx.file.path,
+      line: tokens[start].line,
+    });
+  }
+}
+
+/**
+ * ============================
+ * API PUBLIQUE
+ * ============================
+ */
+
+// Nombre maximum de callbacks exécutés (protection contre les hooks qui s'ajoutent en boucle)
+const MAX_ACTIONS = 500;
+
+/**
+ * Tokenize un fichier pour l'exécution
+ */
+function parseFile(path, content) {
+  return { path, content, tokens: tokenizePhp(content) };
+}
+
+/**
+ * Analyse des fichiers PHP et retourne tous les enqueues détectés
+ *
+ * Déroulement (proche de l'exécution WordPress) :
+ * 1. Collecte des fonctions et méthodes de tous les fichiers
+ * 2. Exécution du code de premier niveau (define, variables, add_action, require/include)
+ * 3. Exécution des callbacks enregistrés via add_action, dans l'ordre d'enregistrement
+ * 4. Méthodes de classe jamais exécutées : parcourues hors hook (leurs add_action sont suivis)
+ *
+ * Les require/include/get_template_part() rencontrés sont suivis récursivement via `loadFile`
+ *
+ * @param {Array<{path: string, content: string}>} files - Fichiers PHP (chemins relatifs au thème)
+ * @param {Object} [options]
+ * @param {(path: string) => string|null} [options.loadFile] - Lit un fichier inclus (chemin relatif au thème)
+ * @returns {{ enqueues: Object[], blocks: Object[], constants: Object, files: string[] }}
+ *   enqueues: { hook, func, type ('script'|'style'|'editor-style'), handle, src, raw, literals, file, line }
+ *   blocks: { path, file, line } pour chaque register_block_type() (path évalué, racine du thème = '')
+ *   files: tous les fichiers PHP analysés (configurés + inclus)
+ */
+export function parsePhpEnqueues(files, { loadFile = () => null } = {}) {
+  const program = {
+    functions: new Map(),
+    methods: new Map(),
+    classes: new Map(),
+    classMethods: [],
+    executed: new Set(),
+    constants: {},
+    globals: {},
+    actions: [],
+    enqueues: [],
+    blocks: [],
+    included: new Set(files.map(({ path }) => path.replace(/^\/+/, ''))),
+    loadFile,
+  };
+
+  const parsedFiles = files.map(({ path, content }) => parseFile(path.replace(/^\/+/, ''), content));
+
+  // 1. Définitions
+  for (const file of parsedFiles) {
+    collectDefinitions(file, program);
+  }
+
+  // 2. Code de premier niveau
+  for (const file of parsedFiles) {
+    walkStatements(file.tokens, 0, file.tokens.length, createContext(program, file, program.globals));
+  }
+
+  // 3. Callbacks des hooks (un callback peut enregistrer d'autres hooks)
+  let actionIndex = 0;
+  const runPendingActions = () => {
+    for (; actionIndex < program.actions.length && actionIndex < MAX_ACTIONS; actionIndex++) {
+      const { hook, callable } = program.actions[actionIndex];
+      runCallable(program, callable, hook);
+    }
+  };
+  runPendingActions();
+
+  // 4. Méthodes jamais atteintes (classe instanciée hors des fichiers analysés, autoload...) :
+  //    leur corps est parcouru hors hook pour enregistrer leurs add_action, comme le scan par regex
+  for (const callable of program.classMethods) {
+    if (!program.executed.has(callable)) {
+      runCallable(program, callable, null);
+      runPendingActions();
+    }
+  }
+
+  return {
+    enqueues: program.enqueues,
+    blocks: program.blocks,
+    constants: program.constants,
+    files: [...program.included],
+  };
+}
@@ -1,9 +1,114 @@
-import { PATHS } from '../paths.config.js';
+import { PATHS, PHP_MORPH } from '../paths.config.js';
 import chokidar from 'chokidar';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { existsSync, readFileSync } from 'fs';
+import { waitForMuPluginRegeneration } from './generate-mu-plugin.js';
+
+const execFileAsync = promisify(execFile);
+
+// Binaire PHP pour la vérification de syntaxe (PHP_BINARY dans .env si hors du PATH, ex: MAMP)
+const PHP_BINARY = process.env.PHP_BINARY || 'php';
+
+// Disponibilité du binaire PHP (vérifiée une seule fois)
+let phpAvailablePromise = null;
+
+/**
+ * Vérifie si le binaire PHP est disponible
+ */
+function isPhpAvailable() {
+  if (!phpAvailablePromise) {
+    phpAvailablePromise = execFileAsync(PHP_BINARY, ['-v'], { timeout: 5000 })
+      .then(() => true)
+      .catch(() => {
+        console.log(`   PHP introuvable (${PHP_BINARY}) : vérification de syntaxe désactivée`);
+        return false;
+      });
+  }
+  return phpAvailablePromise;
+}
+
+/**
+ * Chemin affiché depuis le dossier racine WordPress (style des logs Vite)
+ */
+function getDisplayPath(file) {
+  // Extraire dynamiquement le nom du dossier racine
+  const normalizedPath = file.replace(/\\/g, '/');
+  const wpRootNormalized = PATHS.wpRoot.replace(/\\/g, '/');
+  const rootFolderName = wpRootNormalized.split('/').pop();
+
+  // Extraire le chemin depuis le dossier racine
+  const rootIndex = normalizedPath.lastIndexOf(rootFolderName + '/');
+  return rootIndex !== -1
+    ? normalizedPath.substring(rootIndex)
+    : normalizedPath;
+}
+
+/**
+ * Extrait de code autour de la ligne en erreur (format des frames de l'overlay Vite)
+ */
+function buildCodeFrame(file, line) {
+  try {
+    const lines = readFileSync(file, 'utf-8').split(/\r?\n/);
+    const start = Math.max(1, line - 2);
+    const end = Math.min(lines.length, line + 2);
+    const width = String(end).length;
+    const frame = [];
+
+    for (let current = start; current <= end; current++) {
+      const marker = current === line ? '>' : ' ';
+      frame.push(`${marker} ${String(current).padStart(width)} | ${lines[current - 1]}`);
+    }
+    return frame.join('\n');
+  } catch (err) {
+    return '';
+  }
+}
+
+/**
+ * Lance php -l sur les fichiers modifiés
+ * @returns {Promise<{file: string, line: number|null, message: string}|null>} Première erreur, ou null
+ */
+async function checkPhpSyntax(files) {
+  const existingFiles = files.filter(file => existsSync(file));
+
+  if (existingFiles.length === 0 || !await isPhpAvailable()) {
+    return null;
+  }
+
+  for (const file of existingFiles) {
+    try {
+      await execFileAsync(PHP_BINARY, ['-l', '-d', 'display_errors=1', file], { timeout: 10000 });
+    } catch (err) {
+      // Sortie php -l : "PHP Parse error:  syntax error, unexpected ... in /chemin/fichier.php on line 12"
+      const output = `${err.stdout || ''}\n${err.stderr || ''}`;
+      const match = output.match(/(?:PHP )?((?:Parse|Fatal) error):\s*(.+?) in .+? on line (\d+)/);
+
+      if (match) {
+        return { file, line: parseInt(match[3]), message: `${match[1]}: ${match[2]}` };
+      }
+
+      // Timeout ou sortie inattendue : ne pas bloquer le reload
+      if (!/Errors parsing/.test(output)) {
+        continue;
+      }
+      return { file, line: null, message: output.trim().split('\n')[0] };
+    }
+  }
+
+  return null;
+}
 
 /**
  * Plugin personnalisé pour reload des fichiers PHP avec debounce intelligent
  * Évite les reloads multiples en groupant les changements sur une période donnée
+ *
+ * PHP_MORPH=true : envoie l'événement vite-wp:php-update au lieu du full-reload,
+ * le client (scripts/hmr-php-morph.js) re-télécharge la page et la morphe en place
+ *
+ * Vérification de syntaxe : php -l sur les fichiers modifiés avant le reload
+ * En cas d'erreur, overlay d'erreur Vite (fichier, ligne, message) au lieu d'une page blanche
+ * Ignorée si PHP n'est pas disponible
  */
 export function phpReloadPlugin() {
   let reloadTimer = null;
@@ -42,44 +147,70 @@ export function phpReloadPlugin() {
         }
 
         // Créer un nouveau timer
-        reloadTimer = setTimeout(() => {
+        reloadTimer = setTimeout(async () => {
+          const files = Array.from(pendingReloads);
+
+          // Réinitialiser (d'autres changements peuvent arriver pendant l'attente ci-dessous)
+          pendingReloads.clear();
+          reloadTimer = null;
+
+          // Un fichier PHP scanné a pu changer les enqueues : attendre le nouveau MU-plugin
+          await waitForMuPluginRegeneration();
+
           // Logger dans le style Vite natif avec couleurs
           const now = new Date();
           const time = now.toLocaleTimeString('fr-FR', { hour12: false });
-          const files = Array.from(pendingReloads);
 
           // Codes couleurs ANSI (style Vite)
           const dim = '\x1b[2m';          // Gris clair pour l'heure et le chemin
           const cyan = '\x1b[36m';        // Cyan pour [vite]
           const bold = '\x1b[1m';         // Gras
-          const green = '\x1b[32m';       // Vert pour "page reload"
+          const green = '\x1b[32m';       // Vert pour "page reload" / "page morph"
+          const red = '\x1b[31m';         // Rouge pour "php error"
           const reset = '\x1b[0m';        // Reset
 
+          // Erreur de syntaxe : overlay dans le navigateur, pas de reload
+          const syntaxError = await checkPhpSyntax(files);
+
+          if (syntaxError) {
+            const location = `${getDisplayPath(syntaxError.file)}${syntaxError.line ? `:${syntaxError.line}` : ''}`;
+            console.log(`${dim}${time}${reset} ${bold}${cyan}[vite]${reset} ${red}php error${reset} ${dim}${location}${reset}`);
+            console.log(`   ${red}${syntaxError.message}${reset}`);
+
+            server.ws.send({
+              type: 'error',
+              err: {
+                message: syntaxError.message,
+                stack: '',
+                id: syntaxError.file,
+                plugin: 'php-reload',
+                frame: syntaxError.line ? buildCodeFrame(syntaxError.file, syntaxError.line) : '',
+                loc: syntaxError.line ? { file: syntaxError.file, line: syntaxError.line, column: 1 } : undefined,
+              },
+            });
+            return;
+          }
+
           // Log pour chaque fichier (style Vite)
           files.forEach(file => {
-            // Extraire dynamiquement le nom du dossier racine
-            const normalizedPath = file.replace(/\\/g, '/');
-            const wpRootNormalized = PATHS.wpRoot.replace(/\\/g, '/');
-            const rootFolderName = wpRootNormalized.split('/').pop();
-
-            // Extraire le chemin depuis le dossier racine
-            const rootIndex = normalizedPath.lastIndexOf(rootFolderName + '/');
-            const relativePath = rootIndex !== -1
-              ? normalizedPath.substring(rootIndex)
-              : normalizedPath;
-
-            console.log(`${dim}${time}${reset} ${bold}${cyan}[vite]${reset} ${green}page reload${reset} ${dim}${relativePath}${reset}`);
+            console.log(`${dim}${time}${reset} ${bold}${cyan}[vite]${reset} ${green}${PHP_MORPH ? 'page morph' : 'page reload'}${reset} ${dim}${getDisplayPath(file)}${reset}`);
           });
 
+          // Morph : le client décide (morph en place, ou reload complet si erreur / assets modifiés)
+          if (PHP_MORPH) {
+            server.ws.send({
+              type: 'custom',
+              event: 'vite-wp:php-update',
+              data: { files: files.map(file => file.replace(/\\/g, '/')) },
+            });
+            return;
+          }
+
           // Envoyer UN SEUL reload pour tous les fichiers changés
           server.ws.send({
             type: 'full-reload',
             path: '*',
           });
-
-          // Réinitialiser
-          pendingReloads.clear();
-          reloadTimer = null;
         }, DEBOUNCE_DELAY);
       };
 
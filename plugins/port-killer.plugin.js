@@ -1,8 +1,16 @@
 import { exec } from 'child_process';
 import { promisify } from 'util';
+import { readFileSync, readdirSync, readlinkSync } from 'fs';
+import { basename } from 'path';
+import { createServer } from 'net';
+import { createInterface } from 'readline';
+import { PATHS, setVitePort } from '../paths.config.js';
 
 const execAsync = promisify(exec);
 
+// Nombre de ports testés après VITE_PORT pour le repli
+const FALLBACK_PORT_RANGE = 20;
+
 /**
  * Plugin Vite pour libérer automatiquement le port au démarrage
  * Tue uniquement les processus Node.js qui occupent le port configuré
@@ -16,79 +24,306 @@ const execAsync = promisify(exec);
  * - Ne tue QUE les processus Node.js (pas d'autres applications)
  * - Affiche un message clair avant de tuer
  * - Gère les erreurs silencieusement (si aucun processus trouvé)
+ *
+ * Plateformes:
+ * - Windows : netstat + tasklist + Stop-Process
+ * - macOS / Linux : lsof, puis ss, puis /proc/net/tcp (Linux sans outils réseau)
+ *
+ * Port occupé par autre chose que Node.js (MAMP, Docker...) :
+ * propose de basculer sur le port libre suivant. Exécuté dans le hook config,
+ * avant buildStart : le MU-plugin est généré directement avec le nouveau port.
  */
 export function portKillerPlugin(port) {
   return {
     name: 'port-killer',
+    apply: 'serve',
+
+    async config() {
+      const availablePort = await freePort(port);
 
-    async buildStart() {
-      // Uniquement en mode dev (serve)
-      if (this.meta?.watchMode) {
-        await killProcessOnPort(port);
+      if (availablePort !== port) {
+        setVitePort(availablePort);
+        return {
+          server: {
+            port: availablePort,
+            hmr: { port: availablePort },
+          },
+        };
       }
     }
   };
 }
 
 /**
- * Tue le processus Node.js occupant le port spécifié (Windows uniquement)
+ * Vérifie si le port est libre sur l'hôte de Vite
+ */
+function isPortFree(port) {
+  return new Promise(resolve => {
+    const server = createServer();
+    server.once('error', () => resolve(false));
+    server.once('listening', () => server.close(() => resolve(true)));
+    server.listen(port, PATHS.viteHost);
+  });
+}
+
+/**
+ * Attend la libération du port après un kill (jusqu'à ~2s)
+ */
+async function waitForPortRelease(port) {
+  for (let attempt = 0; attempt < 10; attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 200));
+    if (await isPortFree(port)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Libère le port : tue les processus Node.js qui l'occupent, sinon propose un port de repli
  * @param {number} port - Port à libérer
+ * @returns {Promise<number>} Port à utiliser
  */
-async function killProcessOnPort(port) {
-  try {
-    // Trouver le PID du processus occupant le port
-    const { stdout } = await execAsync(`netstat -ano | findstr :${port}`);
+async function freePort(port) {
+  if (await isPortFree(port)) {
+    return port;
+  }
+
+  const processes = await findProcessesOnPort(port);
+  const nodeProcesses = processes.filter(proc => isNodeProcess(proc.name));
+
+  for (const proc of nodeProcesses) {
+    console.log(`   Port ${port} occupé par Node.js (PID ${proc.pid}) → arrêt du processus`);
+    await killProcess(proc.pid);
+  }
 
-    if (!stdout.trim()) {
-      // Aucun processus sur ce port, rien à faire
-      return;
+  if (nodeProcesses.length > 0 && await waitForPortRelease(port)) {
+    return port;
+  }
+
+  const holders = processes
+    .filter(proc => !isNodeProcess(proc.name))
+    .map(proc => `${proc.name || 'processus inconnu'} (PID ${proc.pid})`);
+
+  console.warn(`   ⚠ Port ${port} occupé par ${holders.length > 0 ? holders.join(', ') : 'un processus non identifié'} (non Node.js, laissé intact)`);
+
+  const fallbackPort = await findNextFreePort(port);
+
+  if (!fallbackPort) {
+    throw new Error(
+      `❌ Port ${port} occupé et aucun port libre entre ${port + 1} et ${port + FALLBACK_PORT_RANGE}\n` +
+      `   Libérez le port ou changez VITE_PORT dans .env`
+    );
+  }
+
+  if (!await confirmFallbackPort(fallbackPort)) {
+    throw new Error(
+      `❌ Port ${port} occupé\n` +
+      `   Libérez le port ou changez VITE_PORT dans .env`
+    );
+  }
+
+  console.log(`   Serveur Vite sur le port ${fallbackPort} (MU-plugin généré avec ce port)`);
+  return fallbackPort;
+}
+
+/**
+ * Premier port libre après le port configuré
+ */
+async function findNextFreePort(port) {
+  for (let candidate = port + 1; candidate <= port + FALLBACK_PORT_RANGE; candidate++) {
+    if (await isPortFree(candidate)) {
+      return candidate;
     }
+  }
+  return null;
+}
+
+/**
+ * Demande confirmation du port de repli (accepté d'office hors terminal interactif)
+ */
+async function confirmFallbackPort(fallbackPort) {
+  if (!process.stdin.isTTY) {
+    return true;
+  }
 
-    // Extraire le PID (dernière colonne)
-    const lines = stdout.trim().split('\n');
-    const pids = new Set();
+  const rl = createInterface({ input: process.stdin, output: process.stdout });
+  const answer = await new Promise(resolve => {
+    rl.question(`   Utiliser le port ${fallbackPort} à la place ? (O/n) `, resolve);
+  });
+  rl.close();
 
-    for (const line of lines) {
+  return !/^n/i.test(answer.trim());
+}
+
+/**
+ * Processus en écoute sur le port (le processus actuel est exclu)
+ * @returns {Promise<Array<{pid: string, name: string|null}>>}
+ */
+async function findProcessesOnPort(port) {
+  const pids = process.platform === 'win32'
+    ? await findPidsWindows(port)
+    : await findPidsUnix(port);
+
+  const processes = [];
+  for (const pid of new Set(pids)) {
+    // Ne jamais tuer le processus actuel
+    if (pid === process.pid.toString()) {
+      continue;
+    }
+    processes.push({ pid, name: await getProcessName(pid) });
+  }
+  return processes;
+}
+
+/**
+ * Windows : netstat
+ */
+async function findPidsWindows(port) {
+  try {
+    const { stdout } = await execAsync(`netstat -ano | findstr :${port}`);
+    const pids = [];
+
+    for (const line of stdout.trim().split('\n')) {
       // Format netstat: TCP    [::1]:5173    [::]:0    LISTENING    12345
-      const match = line.trim().match(/LISTENING\s+(\d+)$/);
-      if (match) {
-        pids.add(match[1]);
+      const match = line.trim().match(/:(\d+)\s+\S+\s+LISTENING\s+(\d+)$/);
+      if (match && match[1] === String(port)) {
+        pids.push(match[2]);
       }
     }
+    return pids;
+  } catch (err) {
+    // netstat ne trouve rien (port libre)
+    return [];
+  }
+}
 
-    if (pids.size === 0) {
-      return;
+/**
+ * macOS / Linux : premier outil disponible qui trouve un processus
+ */
+async function findPidsUnix(port) {
+  for (const strategy of [findPidsWithLsof, findPidsWithSs, findPidsWithProcNet]) {
+    try {
+      const pids = await strategy(port);
+      if (pids.length > 0) {
+        return pids;
+      }
+    } catch (err) {
+      // Outil absent ou aucun résultat : stratégie suivante
     }
+  }
+  return [];
+}
 
-    // Vérifier si c'est un processus Node.js avant de tuer
-    for (const pid of pids) {
-      // Ne jamais tuer le processus actuel
-      if (pid === process.pid.toString()) {
-        continue;
-      }
+/**
+ * lsof (macOS, la plupart des Linux)
+ */
+async function findPidsWithLsof(port) {
+  const { stdout } = await execAsync(`lsof -nP -iTCP:${port} -sTCP:LISTEN -t`);
+  return stdout.split('\n').map(line => line.trim()).filter(line => /^\d+$/.test(line));
+}
+
+/**
+ * ss (Linux, iproute2)
+ * Format: LISTEN 0 511 127.0.0.1:5173 0.0.0.0:* users:(("node",pid=12345,fd=20))
+ */
+async function findPidsWithSs(port) {
+  const { stdout } = await execAsync(`ss -Hltnp "sport = :${port}"`);
+  return [...stdout.matchAll(/pid=(\d+)/g)].map(match => match[1]);
+}
+
+/**
+ * /proc/net/tcp[6] (Linux sans lsof ni ss) : inode du socket en écoute → /proc/<pid>/fd
+ */
+async function findPidsWithProcNet(port) {
+  const portHex = port.toString(16).toUpperCase().padStart(4, '0');
+  const inodes = new Set();
 
-      try {
-        const { stdout: tasklistOutput } = await execAsync(`tasklist /FI "PID eq ${pid}" /FO CSV /NH`);
+  for (const table of ['/proc/net/tcp', '/proc/net/tcp6']) {
+    let content;
+    try {
+      content = readFileSync(table, 'utf-8');
+    } catch (err) {
+      continue;
+    }
 
-        // Format tasklist CSV: "node.exe","12345","Console","1","123,456 K"
-        const isNodeProcess = tasklistOutput.toLowerCase().includes('node.exe');
+    // Colonnes: sl local_address rem_address st ... inode (0A = LISTEN)
+    for (const line of content.trim().split('\n').slice(1)) {
+      const columns = line.trim().split(/\s+/);
+      if (columns[1]?.endsWith(`:${portHex}`) && columns[3] === '0A') {
+        inodes.add(`socket:[${columns[9]}]`);
+      }
+    }
+  }
 
-        if (isNodeProcess) {
-          // Utiliser powershell pour un kill plus sûr avec gestion d'erreur silencieuse
-          await execAsync(`powershell -Command "Stop-Process -Id ${pid} -Force -ErrorAction SilentlyContinue"`);
+  if (inodes.size === 0) {
+    return [];
+  }
 
-          // Attendre un peu pour que le port soit vraiment libéré
-          await new Promise(resolve => setTimeout(resolve, 500));
-        }
-      } catch (err) {
-        // Processus déjà mort ou erreur de permission, ignorer silencieusement
+  const pids = [];
+  for (const pid of readdirSync('/proc').filter(entry => /^\d+$/.test(entry))) {
+    try {
+      const fds = readdirSync(`/proc/${pid}/fd`);
+      if (fds.some(fd => inodes.has(safeReadlink(`/proc/${pid}/fd/${fd}`)))) {
+        pids.push(pid);
       }
+    } catch (err) {
+      // Processus d'un autre utilisateur ou terminé : ignorer
+    }
+  }
+  return pids;
+}
+
+function safeReadlink(path) {
+  try {
+    return readlinkSync(path);
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Nom de l'exécutable d'un processus (null si inaccessible)
+ */
+async function getProcessName(pid) {
+  try {
+    if (process.platform === 'win32') {
+      // Format tasklist CSV: "node.exe","12345","Console","1","123,456 K"
+      const { stdout } = await execAsync(`tasklist /FI "PID eq ${pid}" /FO CSV /NH`);
+      return stdout.trim().match(/^"([^"]+)"/)?.[1] || null;
     }
 
+    // Linux : exécutable réel (process.title peut renommer comm)
+    const executable = safeReadlink(`/proc/${pid}/exe`);
+    if (executable) {
+      return basename(executable);
+    }
+
+    // macOS : comm = chemin de l'exécutable
+    const { stdout } = await execAsync(`ps -p ${pid} -o comm=`);
+    return basename(stdout.trim()) || null;
+  } catch (err) {
+    // Processus déjà mort
+    return null;
+  }
+}
+
+function isNodeProcess(name) {
+  return /^(node|nodejs)(\.exe)?$/i.test(name || '');
+}
+
+/**
+ * Tue un processus (erreurs ignorées : déjà mort ou permission refusée)
+ */
+async function killProcess(pid) {
+  try {
+    if (process.platform === 'win32') {
+      // Utiliser powershell pour un kill plus sûr avec gestion d'erreur silencieuse
+      await execAsync(`powershell -Command "Stop-Process -Id ${pid} -Force -ErrorAction SilentlyContinue"`);
+    } else {
+      process.kill(Number(pid), 'SIGTERM');
+    }
   } catch (err) {
-    // Erreurs attendues:
-    // - netstat ne trouve rien (port libre)
-    // - taskkill échoue (processus déjà mort)
-    // On ignore silencieusement ces erreurs
+    // Processus déjà mort ou erreur de permission, ignorer silencieusement
   }
 }
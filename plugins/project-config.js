@@ -0,0 +1,233 @@
+import { existsSync, readFileSync } from 'fs';
+import { createHash } from 'crypto';
+import { resolve } from 'path';
+import { pathToFileURL } from 'url';
+
+/**
+ * Chargement du fichier de configuration projet vite-wp.config.js (optionnel)
+ *
+ * Cherché dans le thème puis à la racine du bundler. Permet de surcharger, par projet,
+ * ce que le bundler détecte ou code en dur (dossiers, entrées, externals, alias, plugins)
+ * sans forker le bundler. Fusionné par paths.config.js par-dessus l'auto-détection.
+ *
+ * Exemple (wp-content/themes/mon-theme/vite-wp.config.js) :
+ *   export default {
+ *     folders: { js: 'src/js', dist: 'build' },
+ *     manifest: { 'dist/js/app.min.js': 'src/js/app/index.js' },
+ *     entries: ['src/js/workers/search.worker.js'],
+ *     externals: ['swiper', /^@acme\//],
+ *     aliases: { '@components': 'src/js/components' },
+ *     plugins: { watchPhp: false },
+ *   };
+ */
+
+export const PROJECT_CONFIG_FILENAME = 'vite-wp.config.js';
+
+// Dossiers surchargeables (mêmes clés que PATHS.assetFolders)
+const FOLDER_KEYS = ['dist', 'js', 'css', 'scss', 'images', 'fonts', 'includes', 'includesDest', 'publicDir'];
+
+// Plugins activables/désactivables
+const PLUGIN_KEYS = [
+  'watchPhp',             // Reload PHP (WATCH_PHP)
+  'phpMorph',             // Morph de la page au lieu du reload sur changement PHP (PHP_MORPH)
+  'hmrBodyReset',         // HMR Body Reset (HMR_BODY_RESET)
+  'hmrFreshBody',         // Body re-téléchargé à chaque reset JS (HMR_FRESH_BODY)
+  'hmrEditor',            // Injection Vite dans l'éditeur Gutenberg (HMR_EDITOR)
+  'hmrAdmin',             // Injection Vite dans l'admin (HMR_ADMIN)
+  'autoIncrementVersion', // Incrément de la version du thème (AUTO_INCREMENT_VERSION)
+  'hashedFilenames',      // Noms de fichiers hashés + manifest PHP (HASHED_FILENAMES)
+  'assetVersions',        // versions.php : hash du contenu de chaque fichier du build
+  'wordpressGlobals',     // Imports @wordpress/*, react, jquery → globals WordPress
+  'sassGlobImports',      // Globs SCSS (@import "vendors/*.scss")
+  'copyStaticAssets',     // Copie des images/fonts utilisées au build
+  'copyMinifiedLibs',     // Libs .min.js importées : copie ou concaténation au build
+  'portKiller',           // Libération du port Vite au démarrage
+];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isString = (value) => typeof value === 'string' && value.trim() !== '';
+
+function validateStringList(value, key, errors) {
+  if (!Array.isArray(value) || !value.every(isString)) {
+    errors.push(`${key} doit être un tableau de chaînes non vides`);
+  }
+}
+
+function validateStringMap(value, key, errors, allowedKeys = null) {
+  if (!isPlainObject(value)) {
+    errors.push(`${key} doit être un objet`);
+    return;
+  }
+
+  for (const [name, entry] of Object.entries(value)) {
+    if (allowedKeys && !allowedKeys.includes(name)) {
+      errors.push(`${key}.${name} inconnu (attendus : ${allowedKeys.join(', ')})`);
+    } else if (!isString(entry)) {
+      errors.push(`${key}.${name} doit être une chaîne non vide`);
+    }
+  }
+}
+
+/**
+ * Schéma : clé → fonction de validation (ajoute les erreurs trouvées)
+ */
+const CONFIG_SCHEMA = {
+  // Dossiers d'assets, relatifs au thème : remplacent la détection automatique
+  folders: (value, errors) => validateStringMap(value, 'folders', errors, FOLDER_KEYS),
+
+  // Fichiers PHP à scanner (remplace VITE_PHP_FILES)
+  phpFiles: (value, errors) => validateStringList(value, 'phpFiles', errors),
+
+  // Correspondances build → source, prioritaires sur la détection (relatives au thème)
+  // Valeur : chemin source, ou { source, module } pour une entrée non enqueued à construire en module ES
+  manifest: (value, errors) => {
+    if (!isPlainObject(value)) {
+      errors.push('manifest doit être un objet { "dist/js/app.min.js": "src/js/app/index.js" }');
+      return;
+    }
+
+    for (const [buildPath, entry] of Object.entries(value)) {
+      if (!/\.(m?js|css)$/.test(buildPath)) {
+        errors.push(`manifest["${buildPath}"] : la clé doit être un fichier de build .js ou .css`);
+      }
+
+      const source = isPlainObject(entry) ? entry.source : entry;
+      if (!isString(source)) {
+        errors.push(`manifest["${buildPath}"] doit être un chemin source ou { source, module }`);
+      } else if (isPlainObject(entry) && entry.module !== undefined && typeof entry.module !== 'boolean') {
+        errors.push(`manifest["${buildPath}"].module doit être true ou false`);
+      }
+    }
+  },
+
+  // Sources supplémentaires à construire, relatives au thème (non enqueued : workers, chunks...)
+  entries: (value, errors) => validateStringList(value, 'entries', errors),
+
+  // Imports laissés hors du bundle (nom exact ou RegExp)
+  externals: (value, errors) => {
+    if (!Array.isArray(value) || !value.every(entry => isString(entry) || entry instanceof RegExp)) {
+      errors.push('externals doit être un tableau de chaînes ou de RegExp');
+    }
+  },
+
+  // Libs .min.js importées : copiées dans le build (copy) ou ajoutées au fichier qui les importe (concat)
+  minifiedLibs: (value, errors) => {
+    if (!['copy', 'concat'].includes(value)) {
+      errors.push("minifiedLibs doit valoir 'copy' ou 'concat'");
+    }
+  },
+
+  // Alias d'import : '@nom' → chemin relatif au thème (ou absolu)
+  aliases: (value, errors) => validateStringMap(value, 'aliases', errors),
+
+  // Activation des plugins du bundler
+  plugins: (value, errors) => {
+    if (!isPlainObject(value)) {
+      errors.push('plugins doit être un objet');
+      return;
+    }
+
+    for (const [name, enabled] of Object.entries(value)) {
+      if (!PLUGIN_KEYS.includes(name)) {
+        errors.push(`plugins.${name} inconnu (attendus : ${PLUGIN_KEYS.join(', ')})`);
+      } else if (typeof enabled !== 'boolean') {
+        errors.push(`plugins.${name} doit être true ou false`);
+      }
+    }
+  },
+
+  // Zones HMR : module JS (relatif au thème) → nom(s) de zone [data-hmr-boundary="..."]
+  hmrBoundaries: (value, errors) => {
+    if (!isPlainObject(value)) {
+      errors.push('hmrBoundaries doit être un objet { "src/js/slider.js": "slider" }');
+      return;
+    }
+
+    for (const [modulePath, names] of Object.entries(value)) {
+      if (!isString(names) && !(Array.isArray(names) && names.length > 0 && names.every(isString))) {
+        errors.push(`hmrBoundaries["${modulePath}"] doit être un nom de zone ou un tableau de noms`);
+      }
+    }
+  },
+
+  // Attributs d'état conservés au reset HMR du body (remplacent open, aria-selected, aria-expanded)
+  hmrStatefulAttributes: (value, errors) => validateStringList(value, 'hmrStatefulAttributes', errors),
+
+  // Noms indiquant un dossier de build lors de la détection
+  buildFolderPatterns: (value, errors) => validateStringList(value, 'buildFolderPatterns', errors),
+
+  // Noms de fichiers .min.* à traiter comme des sources du thème et non des libs
+  knownSources: (value, errors) => validateStringList(value, 'knownSources', errors),
+
+  // Extensions supplémentaires servies en dev par serveStaticAssetsPlugin (ex: '.mp4')
+  staticExtensions: (value, errors) => {
+    if (!Array.isArray(value) || !value.every(ext => typeof ext === 'string' && /^\.[a-z0-9]+$/i.test(ext))) {
+      errors.push("staticExtensions doit être un tableau d'extensions (ex: ['.mp4', '.webm'])");
+    }
+  },
+};
+
+/**
+ * Valide la configuration projet
+ * @returns {string[]} Liste des erreurs (vide si valide)
+ */
+export function validateProjectConfig(config) {
+  if (!isPlainObject(config)) {
+    return ['le fichier doit exporter un objet par défaut (export default { ... })'];
+  }
+
+  const errors = [];
+
+  for (const [key, value] of Object.entries(config)) {
+    if (!CONFIG_SCHEMA[key]) {
+      errors.push(`option "${key}" inconnue (attendues : ${Object.keys(CONFIG_SCHEMA).join(', ')})`);
+      continue;
+    }
+
+    CONFIG_SCHEMA[key](value, errors);
+  }
+
+  return errors;
+}
+
+/**
+ * Charge et valide vite-wp.config.js depuis le premier dossier qui en contient un
+ *
+ * @param {string[]} searchDirs - Dossiers candidats, par ordre de priorité
+ * @returns {Promise<{ config: Object, file: string|null, hash: string|null }>}
+ */
+export async function loadProjectConfig(searchDirs) {
+  const file = searchDirs
+    .map(dir => resolve(dir, PROJECT_CONFIG_FILENAME))
+    .find(candidate => existsSync(candidate));
+
+  if (!file) {
+    return { config: {}, file: null, hash: null };
+  }
+
+  const content = readFileSync(file, 'utf-8');
+  const hash = createHash('md5').update(content).digest('hex');
+
+  let module;
+  try {
+    // Query string : contourner le cache des modules ESM si le fichier a changé
+    module = await import(`${pathToFileURL(file).href}?v=${hash}`);
+  } catch (err) {
+    throw new Error(
+      `❌ Impossible de charger ${file}\n` +
+      `   ${err.message}`
+    );
+  }
+
+  const config = module.default;
+  const errors = validateProjectConfig(config);
+
+  if (errors.length > 0) {
+    throw new Error(
+      `❌ ${PROJECT_CONFIG_FILENAME} invalide (${file}) :\n` +
+      errors.map(error => `   - ${error}`).join('\n')
+    );
+  }
+
+  return { config, file, hash };
+}
@@ -5,7 +5,7 @@
 
 import { readFileSync, existsSync, statSync } from 'fs';
 import { resolve, extname } from 'path';
-import { PATHS } from '../paths.config.js';
+import { PATHS, PROJECT_CONFIG } from '../paths.config.js';
 
 /**
  * Extensions d'assets statiques à servir
@@ -19,6 +19,8 @@ const STATIC_EXTENSIONS = new Set([
   '.json', '.xml', '.txt', '.csv',
   // Autres
   '.pdf', '.zip',
+  // Extensions ajoutées par vite-wp.config.js (staticExtensions)
+  ...(PROJECT_CONFIG.config.staticExtensions || []).map(ext => ext.toLowerCase()),
 ]);
 
 /**
@@ -1,7 +1,8 @@
-import { PATHS, PHP_FILES_TO_SCAN } from '../paths.config.js';
+import { PATHS, PHP_FILES_TO_SCAN, JS_SOURCE_EXTENSIONS, PROJECT_CONFIG } from '../paths.config.js';
 import { existsSync, readdirSync, readFileSync, openSync, readSync, closeSync } from 'fs';
-import { resolve, join, sep, extname } from 'path';
-import { getCachedAssets, saveCachedAssets, deleteOldBuildFolder } from './cache-manager.plugin.js';
+import { resolve, join, sep, extname, posix } from 'path';
+import { getCachedAssets, saveCachedAssets, deleteOldBuildFolder, invalidateCache } from './cache-manager.plugin.js';
+import { parsePhpEnqueues } from './php-parser.js';
 
 // Cache en mémoire des assets détectés pour éviter le double scan dans la même session
 let cachedAssets = null;
@@ -21,13 +22,13 @@ function normalizePath(path) {
 
 /**
  * Extrait le nom de base d'un fichier sans .min et sans extension
- * Ex: js/components/slider.min.js → slider
+ * Ex: js/components/slider.min.js → slider, ts/app.tsx → app
  */
 function getBaseName(filePath) {
   const fileName = filePath.split('/').pop();
   return fileName
     .replace(/\.min\.(js|css)$/, '.$1')
-    .replace(/\.(js|css|scss)$/, '');
+    .replace(/\.(jsx?|tsx?|css|scss)$/, '');
 }
 
 /**
@@ -68,109 +69,6 @@ function findFilesRecursive(dir, extensions = [], ignoreDirs = ['node_modules',
   return results;
 }
 
-/**
- * ============================
- * PARSING PHP
- * ============================
- */
-
-/**
- * Parse les constantes PHP (define())
- * @returns {Object} - Map des constantes (ex: { JS_PATH: 'assets/js', OPTI_PATH_URI: 'dist' })
- */
-function parsePhpConstants(phpContent) {
-  const constants = {};
-
-  // Pattern: define('CONSTANT_NAME', get_template_directory_uri() . '/path/to/folder')
-  const defineRegex = /define\s*\(\s*['"]([\w_]+)['"]\s*,\s*get_template_directory(?:_uri)?\(\)\s*\.\s*['"]([^'"]+)['"]\s*\)/g;
-
-  let match;
-  while ((match = defineRegex.exec(phpContent)) !== null) {
-    const constantName = match[1];
-    const relativePath = match[2];
-    constants[constantName] = relativePath.replace(/^\//, ''); // Retirer seulement le / au début, garder celui de fin
-  }
-
-  return constants;
-}
-
-/**
- * Parse les variables PHP ($var = 'value')
- * @param {string} phpContent - Contenu PHP
- * @param {string[]} variablesToFind - Noms des variables à chercher (ex: ['theme_version', 'css_path'])
- * @returns {Object} - Map des variables trouvées
- */
-function parsePhpVariables(phpContent, variablesToFind) {
-  const variables = {};
-
-  if (!variablesToFind || variablesToFind.length === 0) {
-    return variables;
-  }
-
-  for (const varName of variablesToFind) {
-    // Pattern: $varName = 'value' ou $varName = "value"
-    const varRegex = new RegExp(`\\$${varName}\\s*=\\s*['"]([^'"]+)['"]`, 'g');
-    const match = varRegex.exec(phpContent);
-
-    if (match) {
-      variables[varName] = match[1];
-    }
-  }
-
-  return variables;
-}
-
-/**
- * Extrait les noms de variables utilisées dans une URL d'enqueue
- * Ex: $theme_version . '/css/style.css' → ['theme_version']
- * Ex: CSS_PATH . $suffix . '.css' → ['suffix']
- */
-function extractVariablesFromUrl(urlPattern) {
-  const variables = [];
-
-  // Matcher $varName (avec le $)
-  const varRegex = /\$(\w+)/g;
-  let match;
-
-  while ((match = varRegex.exec(urlPattern)) !== null) {
-    variables.push(match[1]);
-  }
-
-  return [...new Set(variables)]; // Dédupliquer
-}
-
-/**
- * Résout une URL PHP avec constantes et variables
- * Ex: OPTI_PATH_URI . '/css/' . $suffix . '.css'
- * → 'dist/css/dark.css' (si OPTI_PATH_URI=dist, suffix=dark)
- */
-function resolvePhpUrl(urlPattern, constants, variables) {
-  let resolvedUrl = urlPattern;
-
-  // 1. Remplacer les constantes (CONSTANT_NAME)
-  for (const [constantName, constantValue] of Object.entries(constants)) {
-    const regex = new RegExp(`\\b${constantName}\\b`, 'g');
-    resolvedUrl = resolvedUrl.replace(regex, `'${constantValue}'`); // Entourer de quotes
-  }
-
-  // 2. Remplacer les variables ($varName)
-  for (const [varName, varValue] of Object.entries(variables)) {
-    const regex = new RegExp(`\\$${varName}\\b`, 'g');
-    resolvedUrl = resolvedUrl.replace(regex, `'${varValue}'`); // Entourer de quotes
-  }
-
-  // 3. Nettoyer la concaténation PHP (. operator)
-  // Ex: 'dist/' . 'css/' . 'style.min.css' → 'dist/css/style.min.css'
-  // Ex: 'dist'.'css/style.min.css' → 'dist/css/style.min.css' (sans espaces)
-  // Stratégie : split sur '.' (avec espaces optionnels) puis retirer les quotes
-  resolvedUrl = resolvedUrl
-    .split(/'\s*\.\s*'/)  // Split sur '.' ou ' . '
-    .map(segment => segment.replace(/^['"]|['"]$/g, '')) // Retirer quotes début/fin de chaque segment
-    .join(''); // Recoller
-
-  return resolvedUrl;
-}
-
 /**
  * ============================
  * SIGNATURE MATCHING
@@ -291,7 +189,7 @@ function calculateSimilarity(sig1, sig2) {
  * Trouve le meilleur candidat par signature matching
  * @param {string} minifiedPath - Chemin du fichier minifié (relatif)
  * @param {string[]} candidates - Liste des candidats possibles (chemins relatifs)
- * @returns {string|null} - Meilleur candidat ou null
+ * @returns {{ source: string, score: number }|null} - Meilleur candidat et sa similarité, ou null
  */
 function findBySignature(minifiedPath, candidates) {
   try {
@@ -321,7 +219,7 @@ function findBySignature(minifiedPath, candidates) {
     }
 
     // Seuil de confiance: au moins 30% de similarité
-    return bestScore >= 0.3 ? bestMatch : null;
+    return bestScore >= 0.3 ? { source: bestMatch, score: bestScore } : null;
 
   } catch (err) {
     console.warn(`Erreur signature matching pour ${minifiedPath}:`, err.message);
@@ -380,8 +278,8 @@ function searchWithPreservedPath(minifiedPath) {
   const baseName = getBaseName(fileName);
   const isJs = fileName.endsWith('.js') || fileName.endsWith('.min.js');
 
-  // 3. Extensions à chercher
-  const extensions = isJs ? ['.js'] : ['.scss', '.css'];
+  // 3. Extensions à chercher (un .min.js peut venir d'une source .js, .ts, .tsx ou .jsx)
+  const extensions = isJs ? JS_SOURCE_EXTENSIONS : ['.scss', '.css'];
 
   // 4. Dossiers sources où chercher
   const sourceFolders = [
@@ -423,7 +321,7 @@ function searchByFilename(minifiedPath) {
   const baseName = getBaseName(pathWithoutBuild);
   const isJs = pathWithoutBuild.endsWith('.js') || pathWithoutBuild.endsWith('.min.js');
 
-  const extensions = isJs ? ['.js'] : ['.scss', '.css'];
+  const extensions = isJs ? JS_SOURCE_EXTENSIONS : ['.scss', '.css'];
 
   // Dossiers où chercher (par ordre de priorité)
   const foldersToSearch = [
@@ -452,19 +350,68 @@ function searchByFilename(minifiedPath) {
   return candidates.length > 0 ? candidates : null;
 }
 
+/**
+ * Correspondances build → source déclarées dans vite-wp.config.js (option manifest)
+ * Ex: { 'dist/js/app.min.js': 'src/js/app/index.js' }
+ *     { 'dist/js/search.worker.min.js': { source: 'src/js/search.worker.ts', module: true } }
+ * @returns {{ build: string, source: string, module: boolean }[]}
+ */
+function getManifestEntries() {
+  const cleanPath = (path) => normalizePath(path).replace(/^\.?\//, '');
+
+  return Object.entries(PROJECT_CONFIG.config.manifest || {}).map(([buildPath, entry]) => ({
+    build: cleanPath(buildPath),
+    source: cleanPath(typeof entry === 'string' ? entry : entry.source),
+    module: typeof entry === 'object' && entry.module === true
+  }));
+}
+
+/**
+ * PRIORITÉ 0: Source imposée par le manifest de vite-wp.config.js
+ * Comparaison avec et sans préfixe de build (dist/js/app.min.js ≡ js/app.min.js)
+ * @returns {string|null} - Source déclarée, ou null (non déclaré ou fichier absent → détection automatique)
+ */
+function findManifestSource(minifiedPath) {
+  const pathWithoutBuild = removeBuildPrefix(minifiedPath);
+  const entry = getManifestEntries().find(({ build }) =>
+    build === minifiedPath || removeBuildPrefix(build) === pathWithoutBuild
+  );
+
+  if (!entry) {
+    return null;
+  }
+
+  if (!existsSync(resolve(PATHS.themePath, entry.source))) {
+    console.warn(`   ⚠ vite-wp.config.js : source introuvable pour ${entry.build} → ${entry.source}, détection automatique`);
+    return null;
+  }
+
+  return entry.source;
+}
+
 /**
  * Fonction principale: trouve le fichier source depuis un chemin minifié
  * Stratégie hybride:
+ *   0. Manifest de vite-wp.config.js (correspondance explicite)
  *   1. Chercher avec arborescence préservée
  *   2. Si plusieurs candidats → signature matching
  *   3. Sinon fallback: chercher par nom uniquement
+ *
+ * @returns {{ source: string, strategy: string, score?: number }|null}
+ *   strategy : manifest | preserved-path | filename | signature (score = similarité 0-1)
  */
-function findSourceFile(minifiedPath) {
+function matchSourceFile(minifiedPath) {
+  // PRIORITÉ 0: Correspondance déclarée
+  const manifestSource = findManifestSource(minifiedPath);
+  if (manifestSource) {
+    return { source: manifestSource, strategy: 'manifest' };
+  }
+
   // PRIORITÉ 1: Arborescence préservée
   let candidates = searchWithPreservedPath(minifiedPath);
 
   if (candidates && candidates.length === 1) {
-    return candidates[0]; // Trouvé directement
+    return { source: candidates[0], strategy: 'preserved-path' }; // Trouvé directement
   }
 
   if (candidates && candidates.length > 1) {
@@ -494,379 +441,432 @@ function findSourceFile(minifiedPath) {
     });
 
     // Prendre le premier (plus haute priorité)
-    return candidates[0];
+    return { source: candidates[0], strategy: 'preserved-path' };
   }
 
   // FALLBACK: Chercher par nom uniquement
   candidates = searchByFilename(minifiedPath);
 
   if (candidates && candidates.length === 1) {
-    return candidates[0];
+    return { source: candidates[0], strategy: 'filename' };
   }
 
   if (candidates && candidates.length > 1) {
     // Signature matching
     const bestMatch = findBySignature(minifiedPath, candidates);
-    if (bestMatch) return bestMatch;
+    if (bestMatch) return { ...bestMatch, strategy: 'signature' };
 
     // Fallback: prendre le premier
-    return candidates[0];
+    return { source: candidates[0], strategy: 'filename' };
   }
 
   // Aucun candidat trouvé
   return null;
 }
 
+/**
+ * Trouve le fichier source depuis un chemin minifié (chemin seul, voir matchSourceFile())
+ */
+function findSourceFile(minifiedPath) {
+  return matchSourceFile(minifiedPath)?.source ?? null;
+}
+
 /**
  * ============================
- * DÉTECTION DES ASSETS WORDPRESS
+ * BLOCS GUTENBERG (block.json)
  * ============================
  */
 
 /**
- * Détecte les assets depuis les fichiers PHP configurés (scan pur)
- * Par défaut: functions.php
- * Configurable via VITE_PHP_FILES dans .env
- * Utilise un cache persistent invalidé automatiquement si les fichiers PHP changent
+ * Champs d'assets d'un block.json
+ * - type : catégorie dans les assets détectés
+ * - contexts : où WordPress charge l'asset
+ * - handle : suffixe du handle généré par WordPress (generate_block_asset_handle())
  */
-export async function detectAssetsFromWordPress() {
-  // 1. Cache mémoire (session actuelle)
-  if (cachedAssets) {
-    return cachedAssets;
+const BLOCK_ASSET_FIELDS = {
+  editorScript: { type: 'scripts', contexts: ['editor'], handle: 'editor-script' },
+  script: { type: 'scripts', contexts: ['front', 'editor'], handle: 'script' },
+  viewScript: { type: 'scripts', contexts: ['front'], handle: 'view-script' },
+  viewScriptModule: { type: 'scripts', contexts: ['front'], handle: 'view-script-module' },
+  editorStyle: { type: 'styles', contexts: ['editor'], handle: 'editor-style' },
+  style: { type: 'styles', contexts: ['front', 'editor'], handle: 'style' },
+  viewStyle: { type: 'styles', contexts: ['front'], handle: 'view-style' },
+};
+
+/**
+ * block.json présents dans le thème (dossier de build compris)
+ * @returns {string[]} - Chemins relatifs au thème
+ */
+function findThemeBlockFiles() {
+  return findFilesRecursive(PATHS.themePath, ['.json']).filter(file => file.split('/').pop() === 'block.json');
+}
+
+/**
+ * Liste les block.json du thème : ceux enregistrés via register_block_type()
+ * puis ceux présents dans le thème (hors dossier de build)
+ * @param {Object[]} registeredBlocks - Appels register_block_type() détectés par le parser PHP
+ * @param {string} buildFolder - Dossier de build (ex: /dist)
+ * @returns {string[]} - Chemins relatifs des block.json
+ */
+function findBlockManifests(registeredBlocks, buildFolder) {
+  const manifests = [];
+
+  const addManifest = (manifestPath) => {
+    if (!manifests.includes(manifestPath) && existsSync(resolve(PATHS.themePath, manifestPath))) {
+      manifests.push(manifestPath);
+    }
+  };
+
+  // 1. register_block_type(__DIR__ . '/blocks/hero') ou register_block_type('.../block.json')
+  // Chemin normalisé (inc/../blocks/hero → blocks/hero) : même clé que le scan du thème
+  for (const block of registeredBlocks) {
+    const blockPath = posix.normalize(normalizePath(block.path).replace(/^\/+/, '')).replace(/\/$/, '');
+    if (blockPath === '..' || blockPath.startsWith('../')) {
+      continue; // Hors du thème
+    }
+
+    addManifest(blockPath.endsWith('.json') ? blockPath : `${blockPath}/block.json`);
   }
 
-  // 2. Cache persistent (fichier .cache/)
-  const { assets: persistentCache, oldBuildFolder } = getCachedAssets();
+  // 2. block.json du thème (enregistrés via une boucle glob() non résolvable statiquement)
+  const cleanBuildFolder = buildFolder.replace(/^\//, '');
+  findThemeBlockFiles()
+    .filter(file => !file.startsWith(cleanBuildFolder + '/'))
+    .forEach(addManifest);
 
-  if (persistentCache) {
-    cachedAssets = persistentCache;
-    return cachedAssets;
+  return manifests;
+}
+
+/**
+ * Trouve la source d'un fichier référencé par un block.json (file:./index.js)
+ * - Correspondance déclarée dans le manifest de vite-wp.config.js → prioritaire
+ * - Fichier source existant à côté du block.json → utilisé tel quel (index.js, style.scss pour style.css)
+ * - Fichier de build (dist/blocks/hero/index.min.js) → source au même chemin hors build (blocks/hero/index.js)
+ * - Sinon → recherche classique build → source
+ * @returns {{ source: string, strategy: string, score?: number }|null}
+ */
+function matchBlockAssetSource(assetPath, buildFolder) {
+  const manifestSource = findManifestSource(assetPath);
+  if (manifestSource) {
+    return { source: manifestSource, strategy: 'manifest' };
   }
 
-  try {
-    // Lire et fusionner le contenu de tous les fichiers PHP configurés
-    let allPhpContent = '';
-    let foundFiles = 0;
+  const cleanBuildFolder = buildFolder.replace(/^\//, '');
+  const candidates = [assetPath];
 
-    for (const phpFile of PHP_FILES_TO_SCAN) {
-      const phpFilePath = resolve(PATHS.themePath, phpFile);
+  if (assetPath.startsWith(cleanBuildFolder + '/')) {
+    candidates.push(assetPath.substring(cleanBuildFolder.length + 1));
+  }
 
-      if (!existsSync(phpFilePath)) {
-        console.warn(`   ${phpFile} introuvable, ignoré`);
-        continue;
-      }
+  for (const candidate of candidates) {
+    const base = candidate.replace(/(?:\.min)?\.(jsx?|tsx?|css|scss)$/, '');
+    const extensions = /\.(jsx?|tsx?)$/.test(candidate) ? JS_SOURCE_EXTENSIONS : ['.scss', '.css'];
 
-      const content = readFileSync(phpFilePath, 'utf-8');
-      allPhpContent += `\n/* ===== ${phpFile} ===== */\n` + content;
-      foundFiles++;
+    for (const ext of extensions) {
+      const sourcePath = base + ext;
+      const isBuilt = sourcePath.startsWith(cleanBuildFolder + '/');
+      if (!isBuilt && existsSync(resolve(PATHS.themePath, sourcePath))) {
+        return { source: sourcePath, strategy: 'block-path' };
+      }
     }
+  }
 
-    if (foundFiles === 0) {
-      console.warn('Aucun fichier PHP trouvé');
-      return {
-        front: { sources: [], libs: [] },
-        admin: { sources: [], libs: [] },
-        editor: { sources: [], libs: [] },
-        buildFolder: 'dist'
-      };
-    }
+  return matchSourceFile(assetPath);
+}
 
-    const functionsContent = allPhpContent;
+/**
+ * Lit un block.json et retourne ses assets locaux (références file:)
+ * Les références par handle (ex: "editorScript": "wp-blocks") sont ignorées
+ * @returns {Object|null} - { name, manifest, assets: [{ field, path, source, strategy, score, handle, type, contexts }] }
+ */
+function detectBlockAssets(manifestPath, buildFolder) {
+  let metadata;
 
-    // 1. PARSER LES CONSTANTES PHP (define())
-    const phpConstants = parsePhpConstants(functionsContent);
+  try {
+    metadata = JSON.parse(readFileSync(resolve(PATHS.themePath, manifestPath), 'utf-8'));
+  } catch (err) {
+    console.warn(`   ⚠ block.json invalide: ${manifestPath} (${err.message})`);
+    return null;
+  }
 
-    // 2. Détecter toutes les variables utilisées dans les enqueues
-    const allEnqueueUrls = [];
+  const blockDir = manifestPath.split('/').slice(0, -1).join('/');
+  const blockName = typeof metadata.name === 'string' ? metadata.name : blockDir;
+  const assets = [];
 
-    // Extraire toutes les URLs des enqueues (scripts + styles)
-    const allEnqueueRegex = /wp_(?:register|enqueue)_(?:script|style)\s*\([^,]+,\s*([^)]+)\)/g;
-    let match;
-    while ((match = allEnqueueRegex.exec(functionsContent)) !== null) {
-      allEnqueueUrls.push(match[1]);
-    }
+  for (const [field, config] of Object.entries(BLOCK_ASSET_FIELDS)) {
+    const values = Array.isArray(metadata[field]) ? metadata[field] : [metadata[field]];
 
-    // Extraire toutes les variables utilisées dans ces URLs
-    const allVariables = new Set();
-    for (const url of allEnqueueUrls) {
-      const vars = extractVariablesFromUrl(url);
-      vars.forEach(v => allVariables.add(v));
-    }
+    values.forEach((value, index) => {
+      if (typeof value !== 'string' || !value.startsWith('file:')) return;
 
-    // 3. PARSER LES VARIABLES PHP (uniquement celles utilisées)
-    const phpVariables = parsePhpVariables(functionsContent, Array.from(allVariables));
+      // file:./index.js → blocks/hero/index.js
+      const assetPath = join(blockDir, value.replace(/^file:/, '')).split(sep).join('/');
+      const match = matchBlockAssetSource(assetPath, buildFolder);
 
-    // 4. Détecter buildFolder
-    let buildFolder = PATHS.assetFolders.dist;
-    const buildFolderMatch = functionsContent.match(/define\s*\(\s*['"]OPTI_PATH(?:_URI)?\s*['"]\s*,\s*[^'"]*['"]([^'"]+)\//);
-    if (buildFolderMatch) {
-      buildFolder = buildFolderMatch[1];
-    }
+      if (!match) {
+        console.warn(`   ⚠ Source introuvable pour: ${assetPath} (${manifestPath} → ${field})`);
+        return;
+      }
 
-    const assets = {
-      front: { scripts: [], styles: [] },
-      admin: { scripts: [], styles: [] },
-      editor: { scripts: [], styles: [] },
-      buildFolder
-    };
+      // Même convention que generate_block_asset_handle() : theme/hero + editorScript → theme-hero-editor-script(-2)
+      const handle = `${blockName.replace(/\//g, '-')}-${config.handle}${index > 0 ? `-${index + 1}` : ''}`;
+
+      assets.push({
+        field,
+        path: assetPath,
+        source: match.source,
+        strategy: match.strategy,
+        score: match.score ?? null,
+        handle,
+        type: config.type,
+        contexts: config.contexts
+      });
+    });
+  }
 
-    // 5. PARSER LES SCRIPTS (y compris wp_enqueue_script_module)
+  return { name: blockName, manifest: manifestPath, assets };
+}
 
-    // 5a. Parser les add_action avec fonctions anonymes
-    const scriptBlockRegex = /add_action\s*\(\s*['"]([^'"]+)['"]\s*,\s*function\s*\([^)]*\)\s*\{([^}]*?wp_(?:register|enqueue)_script(?:_module)?[^}]*)\}/gs;
+/**
+ * ============================
+ * DÉTECTION DES ASSETS WORDPRESS
+ * ============================
+ */
 
-    // 5b. Parser les add_action avec fonctions nommées
-    const namedFunctionRegex = /add_action\s*\(\s*['"]([^'"]+)['"]\s*,\s*['"](\w+)['"]\s*\)/g;
-    const namedFunctions = new Map();
+/**
+ * Vérifie si une URL pointe hors du thème (CDN, URL absolue)
+ */
+function isExternalUrl(url) {
+  return /^(?:https?:)?\/\//.test(url);
+}
 
-    // D'abord, détecter toutes les fonctions nommées liées aux hooks
-    let namedMatch;
-    while ((namedMatch = namedFunctionRegex.exec(functionsContent)) !== null) {
-      const hook = namedMatch[1];
-      const functionName = namedMatch[2];
+/**
+ * Retourne le chemin (relatif au thème) d'un enqueue détecté, ou null s'il faut l'ignorer
+ * Si l'expression PHP n'a pas pu être résolue, on se rabat sur le dernier littéral
+ * qui ressemble à un nom de fichier (ex: $base . '/dist/js/main.min.js' → dist/js/main.min.js)
+ */
+function resolveEnqueuePath(enqueue) {
+  let assetPath = enqueue.src;
 
-      // Chercher la définition de cette fonction
-      const funcDefRegex = new RegExp(`function\\s+${functionName}\\s*\\([^)]*\\)\\s*\\{([^]*?)\\n\\s*\\}`, 's');
-      const funcDefMatch = funcDefRegex.exec(functionsContent);
+  if (assetPath === null) {
+    assetPath = [...enqueue.literals]
+      .reverse()
+      .find(literal => /(?:^|\/)[\w-]+(?:\.min)?\.(?:js|mjs|css|scss)$/.test(literal)) || null;
+  }
 
-      if (funcDefMatch && funcDefMatch[1].includes('wp_')) {
-        namedFunctions.set(hook, funcDefMatch[1]);
-      }
-    }
+  // Ignorer les URLs externes, les false/null et les chemins sans extension
+  if (!assetPath || isExternalUrl(assetPath) || !assetPath.includes('.')) {
+    return null;
+  }
 
-    let blockMatch;
+  return normalizePath(assetPath)
+    .replace(/\/{2,}/g, '/')
+    .replace(/^\//, '');
+}
 
-    // Parser les fonctions anonymes
-    while ((blockMatch = scriptBlockRegex.exec(functionsContent)) !== null) {
-      const hook = blockMatch[1];
-      const functionBody = blockMatch[2];
+/**
+ * Lit un fichier PHP inclus depuis les fichiers scannés (chemin relatif au thème)
+ * @returns {string|null} - null si le fichier n'existe pas
+ */
+function readThemePhpFile(relativePath) {
+  const absolutePath = resolve(PATHS.themePath, relativePath);
 
-      // Extraire les scripts enqueued (y compris script_module)
-      // Capture seulement le 2ème argument (URL) jusqu'à la virgule suivante
-      const scriptRegex = /wp_(?:register|enqueue)_script(?:_module)?\s*\([^,]+,\s*([^,]+?)(?=\s*,|\s*\))/g;
-      let scriptMatch;
+  try {
+    return existsSync(absolutePath) ? readFileSync(absolutePath, 'utf-8') : null;
+  } catch (err) {
+    return null;
+  }
+}
 
-      while ((scriptMatch = scriptRegex.exec(functionBody)) !== null) {
-        const urlPattern = scriptMatch[1].trim();
+/**
+ * Contextes d'un hook WordPress
+ * - wp_enqueue_scripts → front
+ * - enqueue_block_editor_assets → editor (iframe Gutenberg)
+ * - enqueue_block_assets → front + editor
+ * - admin_enqueue_scripts, login_enqueue_scripts et autres → admin
+ */
+function getHookContexts(hook) {
+  if (hook.includes('wp_enqueue_scripts')) return ['front'];
+  if (hook.includes('enqueue_block_editor_assets')) return ['editor'];
+  if (hook.includes('enqueue_block_assets')) return ['front', 'editor'];
+  return ['admin'];
+}
 
-        // Résoudre l'URL complète avec constantes et variables
-        let scriptPath = resolvePhpUrl(urlPattern, phpConstants, phpVariables);
+/**
+ * Lit et parse les fichiers PHP configurés
+ * 1. Parser le PHP (constantes, variables, add_action et enqueues dans les callbacks)
+ *    Les require/include/get_template_part() sont suivis récursivement depuis les fichiers configurés
+ * 2. Détecter buildFolder depuis la constante OPTI_PATH(_URI)
+ * @returns {Object|null} - { enqueues, registeredBlocks, scannedFiles, buildFolder }, null si aucun fichier PHP
+ */
+function scanThemePhp() {
+  const phpFiles = [];
 
-        // Ignorer les URLs externes, les false/null, et les variables JS
-        if (scriptPath.startsWith('http') || scriptPath === 'false' || scriptPath === 'null' || !scriptPath.includes('.')) continue;
+  for (const phpFile of PHP_FILES_TO_SCAN) {
+    const phpFilePath = resolve(PATHS.themePath, phpFile);
 
-        // Convertir build → source avec la nouvelle logique
-        const sourcePath = findSourceFile(scriptPath);
-        if (!sourcePath) {
-          console.warn(`   ⚠ Source introuvable pour: ${scriptPath}`);
-          continue;
-        }
+    if (!existsSync(phpFilePath)) {
+      console.warn(`   ${phpFile} introuvable, ignoré`);
+      continue;
+    }
 
-        scriptPath = sourcePath;
+    phpFiles.push({
+      path: normalizePath(phpFile),
+      content: readFileSync(phpFilePath, 'utf-8')
+    });
+  }
 
-        // Catégoriser selon le hook
-        if (hook.includes('wp_enqueue_scripts')) {
-          if (!assets.front.scripts.includes(scriptPath)) {
-            assets.front.scripts.push(scriptPath);
-          }
-        } else if (hook.includes('enqueue_block_editor_assets')) {
-          if (!assets.editor.scripts.includes(scriptPath)) {
-            assets.editor.scripts.push(scriptPath);
-          }
-        } else if (hook.includes('enqueue_block_assets')) {
-          if (!assets.front.scripts.includes(scriptPath)) {
-            assets.front.scripts.push(scriptPath);
-          }
-          if (!assets.editor.scripts.includes(scriptPath)) {
-            assets.editor.scripts.push(scriptPath);
-          }
-        } else if (hook.includes('admin') || hook.includes('login') || hook.includes('customize_register')) {
-          if (!assets.admin.scripts.includes(scriptPath)) {
-            assets.admin.scripts.push(scriptPath);
-          }
-        } else {
-          if (!assets.admin.scripts.includes(scriptPath)) {
-            assets.admin.scripts.push(scriptPath);
-          }
-        }
-      }
-    }
+  if (phpFiles.length === 0) {
+    return null;
+  }
 
-    // Parser les fonctions nommées détectées
-    for (const [hook, functionBody] of namedFunctions) {
-      const scriptRegex = /wp_(?:register|enqueue)_script(?:_module)?\s*\([^,]+,\s*([^,]+?)(?=\s*,|\s*\))/g;
-      let scriptMatch;
+  const { enqueues, blocks: registeredBlocks, constants, files: scannedFiles } = parsePhpEnqueues(phpFiles, {
+    loadFile: readThemePhpFile
+  });
 
-      while ((scriptMatch = scriptRegex.exec(functionBody)) !== null) {
-        const urlPattern = scriptMatch[1].trim();
+  let buildFolder = PATHS.assetFolders.dist;
+  const buildFolderConstant = constants.OPTI_PATH_URI ?? constants.OPTI_PATH;
+  if (typeof buildFolderConstant === 'string' && !isExternalUrl(buildFolderConstant)) {
+    const cleanFolder = normalizePath(buildFolderConstant).replace(/^\/+|\/+$/g, '');
+    if (cleanFolder) {
+      buildFolder = '/' + cleanFolder;
+    }
+  }
 
-        let scriptPath = resolvePhpUrl(urlPattern, phpConstants, phpVariables);
+  return { enqueues, registeredBlocks, scannedFiles, buildFolder };
+}
 
-        // Ignorer les URLs externes, les false/null, et les variables JS
-        if (scriptPath.startsWith('http') || scriptPath === 'false' || scriptPath === 'null' || !scriptPath.includes('.')) continue;
+/**
+ * Détecte les assets depuis les fichiers PHP configurés (scan pur)
+ * Par défaut: functions.php
+ * Configurable via VITE_PHP_FILES dans .env
+ * Les fichiers inclus (require, include, get_template_part...) sont suivis automatiquement
+ * Utilise un cache persistent invalidé automatiquement si les fichiers PHP changent
+ */
+export async function detectAssetsFromWordPress() {
+  // 1. Cache mémoire (session actuelle)
+  if (cachedAssets) {
+    return cachedAssets;
+  }
 
-        const sourcePath = findSourceFile(scriptPath);
-        if (!sourcePath) {
-          console.warn(`   ⚠ Source introuvable pour: ${scriptPath}`);
-          continue;
-        }
+  // 2. Cache persistent (fichier .cache/), invalidé aussi par un block.json modifié, ajouté ou supprimé
+  const themeBlockFiles = findThemeBlockFiles();
+  const { assets: persistentCache, oldBuildFolder } = getCachedAssets(themeBlockFiles);
 
-        scriptPath = sourcePath;
+  if (persistentCache) {
+    cachedAssets = persistentCache;
+    return cachedAssets;
+  }
 
-        // Catégoriser selon le hook
-        if (hook.includes('wp_enqueue_scripts')) {
-          if (!assets.front.scripts.includes(scriptPath)) {
-            assets.front.scripts.push(scriptPath);
-          }
-        } else if (hook.includes('enqueue_block_editor_assets')) {
-          if (!assets.editor.scripts.includes(scriptPath)) {
-            assets.editor.scripts.push(scriptPath);
-          }
-        } else if (hook.includes('enqueue_block_assets')) {
-          if (!assets.front.scripts.includes(scriptPath)) {
-            assets.front.scripts.push(scriptPath);
-          }
-          if (!assets.editor.scripts.includes(scriptPath)) {
-            assets.editor.scripts.push(scriptPath);
-          }
-        } else if (hook.includes('admin') || hook.includes('login') || hook.includes('customize_register')) {
-          if (!assets.admin.scripts.includes(scriptPath)) {
-            assets.admin.scripts.push(scriptPath);
-          }
-        } else {
-          if (!assets.admin.scripts.includes(scriptPath)) {
-            assets.admin.scripts.push(scriptPath);
-          }
-        }
-      }
+  try {
+    const scan = scanThemePhp();
+
+    if (!scan) {
+      console.warn('Aucun fichier PHP trouvé');
+      return {
+        front: { sources: [], libs: [], handles: {}, buildPaths: {} },
+        admin: { sources: [], libs: [], handles: {}, buildPaths: {} },
+        editor: { sources: [], libs: [], handles: {}, buildPaths: {} },
+        blocks: [],
+        modules: [],
+        buildFolder: 'dist'
+      };
     }
 
-    // 6. PARSER LES STYLES
+    // 1-2. PHP parsé et dossier de build
+    const { enqueues, registeredBlocks, scannedFiles, buildFolder } = scan;
 
-    // 6a. Parser les fonctions anonymes
-    const styleBlockRegex = /add_action\s*\(\s*['"]([^'"]+)['"]\s*,\s*function\s*\([^)]*\)\s*\{([^}]*?wp_(?:register|enqueue)_style[^}]*)\}/gs;
+    const assets = {
+      front: { scripts: [], styles: [], handles: {}, buildPaths: {} },
+      admin: { scripts: [], styles: [], handles: {}, buildPaths: {} },
+      editor: { scripts: [], styles: [], handles: {}, buildPaths: {} },
+      buildFolder
+    };
 
-    while ((blockMatch = styleBlockRegex.exec(functionsContent)) !== null) {
-      const hook = blockMatch[1];
-      const functionBody = blockMatch[2];
+    // API d'enqueue des scripts : module ES (wp_enqueue_script_module) ou script classique
+    const moduleScripts = new Set();
+    const classicScripts = new Set();
 
-      // Capture seulement le 2ème argument (URL) jusqu'à la virgule suivante
-      const styleRegex = /wp_(?:register|enqueue)_style\s*\([^,]+,\s*([^,]+?)(?=\s*,|\s*\))/g;
-      let styleMatch;
+    // 3. Convertir chaque enqueue (build → source) et le catégoriser selon son hook
+    for (const enqueue of enqueues) {
+      const assetPath = resolveEnqueuePath(enqueue);
+      if (!assetPath) continue;
 
-      while ((styleMatch = styleRegex.exec(functionBody)) !== null) {
-        const urlPattern = styleMatch[1].trim();
+      const sourcePath = findSourceFile(assetPath);
+      if (!sourcePath) {
+        console.warn(`   ⚠ Source introuvable pour: ${assetPath}`);
+        continue;
+      }
 
-        let stylePath = resolvePhpUrl(urlPattern, phpConstants, phpVariables);
+      const type = enqueue.type === 'script' ? 'scripts' : 'styles';
+      const contexts = enqueue.type === 'editor-style' ? ['editor'] : getHookContexts(enqueue.hook);
 
-        if (stylePath.startsWith('http')) continue;
+      if (type === 'scripts') {
+        (enqueue.func.includes('script_module') ? moduleScripts : classicScripts).add(sourcePath);
+      }
 
-        const sourcePath = findSourceFile(stylePath);
-        if (!sourcePath) {
-          console.warn(`   ⚠ Source introuvable pour: ${stylePath}`);
-          continue;
+      for (const context of contexts) {
+        if (!assets[context][type].includes(sourcePath)) {
+          assets[context][type].push(sourcePath);
         }
 
-        stylePath = sourcePath;
-
-        if (hook.includes('wp_enqueue_scripts')) {
-          if (!assets.front.styles.includes(stylePath)) {
-            assets.front.styles.push(stylePath);
-          }
-        } else if (hook.includes('enqueue_block_editor_assets')) {
-          if (!assets.editor.styles.includes(stylePath)) {
-            assets.editor.styles.push(stylePath);
-          }
-        } else if (hook.includes('enqueue_block_assets')) {
-          if (!assets.front.styles.includes(stylePath)) {
-            assets.front.styles.push(stylePath);
-          }
-          if (!assets.editor.styles.includes(stylePath)) {
-            assets.editor.styles.push(stylePath);
-          }
-        } else if (hook.includes('admin') || hook.includes('login') || hook.includes('customize_register')) {
-          if (!assets.admin.styles.includes(stylePath)) {
-            assets.admin.styles.push(stylePath);
-          }
-        } else {
-          if (!assets.admin.styles.includes(stylePath)) {
-            assets.admin.styles.push(stylePath);
-          }
+        // Handle WordPress (pas pour les script modules, gérés hors de $wp_scripts)
+        if (enqueue.handle && !enqueue.func.includes('script_module')) {
+          recordHandle(assets[context].handles, enqueue.handle, sourcePath);
         }
+
+        // Chemin de build enqueued : fallback du MU-plugin quand le handle est inconnu
+        recordBuildPath(assets[context].buildPaths, sourcePath, assetPath);
       }
     }
 
-    // 6b. Parser les fonctions nommées pour les styles
-    for (const [hook, functionBody] of namedFunctions) {
-      const styleRegex = /wp_(?:register|enqueue)_style\s*\([^,]+,\s*([^,]+?)(?=\s*,|\s*\))/g;
-      let styleMatch;
-
-      while ((styleMatch = styleRegex.exec(functionBody)) !== null) {
-        const urlPattern = styleMatch[1].trim();
-
-        let stylePath = resolvePhpUrl(urlPattern, phpConstants, phpVariables);
+    // 4. BLOCS GUTENBERG (register_block_type() + block.json du thème)
+    const blocks = findBlockManifests(registeredBlocks, buildFolder)
+      .map(manifestPath => detectBlockAssets(manifestPath, buildFolder))
+      .filter(Boolean);
 
-        if (stylePath.startsWith('http')) continue;
-
-        const sourcePath = findSourceFile(stylePath);
-        if (!sourcePath) {
-          console.warn(`   ⚠ Source introuvable pour: ${stylePath}`);
-          continue;
+    for (const block of blocks) {
+      for (const blockAsset of block.assets) {
+        if (blockAsset.type === 'scripts') {
+          (blockAsset.field === 'viewScriptModule' ? moduleScripts : classicScripts).add(blockAsset.source);
         }
 
-        stylePath = sourcePath;
-
-        if (hook.includes('wp_enqueue_scripts')) {
-          if (!assets.front.styles.includes(stylePath)) {
-            assets.front.styles.push(stylePath);
-          }
-        } else if (hook.includes('enqueue_block_editor_assets')) {
-          if (!assets.editor.styles.includes(stylePath)) {
-            assets.editor.styles.push(stylePath);
-          }
-        } else if (hook.includes('enqueue_block_assets')) {
-          if (!assets.front.styles.includes(stylePath)) {
-            assets.front.styles.push(stylePath);
-          }
-          if (!assets.editor.styles.includes(stylePath)) {
-            assets.editor.styles.push(stylePath);
+        for (const context of blockAsset.contexts) {
+          if (!assets[context][blockAsset.type].includes(blockAsset.source)) {
+            assets[context][blockAsset.type].push(blockAsset.source);
           }
-        } else if (hook.includes('admin') || hook.includes('login') || hook.includes('customize_register')) {
-          if (!assets.admin.styles.includes(stylePath)) {
-            assets.admin.styles.push(stylePath);
-          }
-        } else {
-          if (!assets.admin.styles.includes(stylePath)) {
-            assets.admin.styles.push(stylePath);
+
+          if (blockAsset.field !== 'viewScriptModule') {
+            recordHandle(assets[context].handles, blockAsset.handle, blockAsset.source);
           }
+
+          recordBuildPath(assets[context].buildPaths, blockAsset.source, blockAsset.path);
         }
       }
     }
 
-    // 7. PARSER add_editor_style()
-    const editorStyleRegex = /add_editor_style\s*\(\s*([^)]+)\)/g;
-    let editorMatch;
-
-    while ((editorMatch = editorStyleRegex.exec(functionsContent)) !== null) {
-      const urlPattern = editorMatch[1].trim();
+    assets.blocks = blocks;
 
-      let stylePath = resolvePhpUrl(urlPattern, phpConstants, phpVariables);
+    // 5. ENTRÉES MANUELLES (vite-wp.config.js)
+    // Manifest : correspondances build → source, enqueued ou non (workers, chunks chargés à la demande...)
+    // Les entrées non enqueued sont construites au chemin déclaré, sans être injectées en dev
+    const enqueuedSources = new Set(
+      ['front', 'admin', 'editor'].flatMap(context => [...assets[context].scripts, ...assets[context].styles])
+    );
 
-      if (stylePath.startsWith('http')) continue;
+    assets.manualEntries = getManifestEntries()
+      .filter(entry => existsSync(resolve(PATHS.themePath, entry.source)))
+      .map(entry => ({ ...entry, enqueued: enqueuedSources.has(entry.source) }));
 
-      const sourcePath = findSourceFile(stylePath);
-      if (!sourcePath) {
-        console.warn(`   ⚠ Source introuvable pour: ${stylePath}`);
-        continue;
-      }
-
-      stylePath = sourcePath;
-
-      if (!assets.editor.styles.includes(stylePath)) {
-        assets.editor.styles.push(stylePath);
+    for (const entry of assets.manualEntries) {
+      if (!entry.enqueued && /\.(jsx?|tsx?)$/.test(entry.source)) {
+        (entry.module ? moduleScripts : classicScripts).add(entry.source);
       }
     }
 
+    // Un script aussi enqueued en classique reste construit en IIFE (chargeable dans les deux cas)
+    assets.modules = [...moduleScripts].filter(source => !classicScripts.has(source));
+
     // Séparer sources vs libs
     const result = categorizeAssets(assets);
 
@@ -877,16 +877,18 @@ export async function detectAssetsFromWordPress() {
 
     // Mettre en cache
     cachedAssets = result;
-    saveCachedAssets(result);
+    saveCachedAssets(result, scannedFiles, [...themeBlockFiles, ...blocks.map(block => block.manifest)]);
 
     return result;
 
   } catch (err) {
     console.error('Erreur scan functions.php:', err.message);
     const errorResult = {
-      front: { sources: [], libs: [] },
-      admin: { sources: [], libs: [] },
-      editor: { sources: [], libs: [] },
+      front: { sources: [], libs: [], handles: {}, buildPaths: {} },
+      admin: { sources: [], libs: [], handles: {}, buildPaths: {} },
+      editor: { sources: [], libs: [], handles: {}, buildPaths: {} },
+      blocks: [],
+      modules: [],
       buildFolder: 'dist'
     };
 
@@ -895,6 +897,102 @@ export async function detectAssetsFromWordPress() {
   }
 }
 
+/**
+ * Vide le cache mémoire et le cache persistent (.cache/assets-cache.json)
+ * La prochaine détection rescanne les fichiers PHP (ex: un enqueue ajouté pendant npm run dev)
+ */
+export async function invalidateDetectedAssets() {
+  cachedAssets = null;
+  await invalidateCache({ silent: true });
+}
+
+/**
+ * Rapport détaillé de la détection, enqueue par enqueue (commande npm run detect)
+ * Rejoue la détection sans cache ni effet de bord (pas d'écriture de cache, pas de suppression de build)
+ *
+ * @returns {Promise<Object>} - { phpFiles, buildFolder, enqueues, blocks, manualEntries, extraEntries }
+ *   enqueues : [{ hook, func, handle, file, line, raw, buildPath, source, strategy, score, contexts, kind, classification }]
+ *   kind : script | module | style | editor-style ; classification : source | lib | null (source introuvable)
+ */
+export async function explainAssetDetection() {
+  const scan = scanThemePhp();
+
+  if (!scan) {
+    return { phpFiles: [], buildFolder: PATHS.assetFolders.dist, enqueues: [], blocks: [], manualEntries: [], extraEntries: [] };
+  }
+
+  const { enqueues, registeredBlocks, scannedFiles, buildFolder } = scan;
+  const classify = (source) => source ? (isLibrary(source) ? 'lib' : 'source') : null;
+
+  const enqueueReports = enqueues.map(enqueue => {
+    const buildPath = resolveEnqueuePath(enqueue);
+    const match = buildPath ? matchSourceFile(buildPath) : null;
+    const isModule = enqueue.func.includes('script_module');
+
+    return {
+      hook: enqueue.hook,
+      func: enqueue.func,
+      handle: enqueue.handle,
+      file: enqueue.file,
+      line: enqueue.line,
+      raw: enqueue.raw,
+      buildPath,
+      source: match?.source ?? null,
+      strategy: buildPath ? match?.strategy ?? null : 'ignored', // ignored : URL externe ou expression non résolue
+      score: match?.score ?? null,
+      contexts: enqueue.type === 'editor-style' ? ['editor'] : getHookContexts(enqueue.hook),
+      kind: enqueue.type === 'script' && isModule ? 'module' : enqueue.type,
+      classification: classify(match?.source)
+    };
+  });
+
+  const blocks = findBlockManifests(registeredBlocks, buildFolder)
+    .map(manifestPath => detectBlockAssets(manifestPath, buildFolder))
+    .filter(Boolean)
+    .map(block => ({
+      ...block,
+      assets: block.assets.map(blockAsset => ({ ...blockAsset, classification: classify(blockAsset.source) }))
+    }));
+
+  return {
+    phpFiles: scannedFiles,
+    buildFolder,
+    enqueues: enqueueReports,
+    blocks,
+    manualEntries: getManifestEntries().map(entry => ({
+      ...entry,
+      exists: existsSync(resolve(PATHS.themePath, entry.source))
+    })),
+    extraEntries: getExtraEntries()
+  };
+}
+
+/**
+ * Associe un handle WordPress à sa source
+ * Un handle enregistré avec plusieurs sources (src conditionnel) est ambigu : marqué null,
+ * le MU-plugin retombera alors sur la correspondance de chemin
+ */
+function recordHandle(handles, handle, sourcePath) {
+  if (handle in handles && handles[handle] !== sourcePath) {
+    handles[handle] = null;
+    return;
+  }
+
+  handles[handle] = sourcePath;
+}
+
+/**
+ * Associe une source aux chemins de build (relatifs au thème) sous lesquels elle est enqueued
+ * Ex: sources/js/main.js → ['dist/js/main.min.js']
+ */
+function recordBuildPath(buildPaths, sourcePath, buildPath) {
+  buildPaths[sourcePath] = buildPaths[sourcePath] || [];
+
+  if (!buildPaths[sourcePath].includes(buildPath)) {
+    buildPaths[sourcePath].push(buildPath);
+  }
+}
+
 /**
  * Détecte si un fichier est une librairie (analyse du contenu)
  */
@@ -927,7 +1025,7 @@ function isLibrary(filePath) {
     }
 
     const basename = filePath.split('/').pop().replace(/\.min\.(js|css)$/, '');
-    const KNOWN_SOURCES = ['main', 'style', 'admin', 'editor'];
+    const KNOWN_SOURCES = ['main', 'style', 'admin', 'editor', ...(PROJECT_CONFIG.config.knownSources || [])];
 
     if (filePath.includes('.min.')) {
       return !KNOWN_SOURCES.includes(basename);
@@ -946,9 +1044,12 @@ function isLibrary(filePath) {
  */
 function categorizeAssets(assets) {
   const result = {
-    front: { sources: [], libs: [] },
-    admin: { sources: [], libs: [] },
-    editor: { sources: [], libs: [] },
+    front: { sources: [], libs: [], handles: {}, buildPaths: {} },
+    admin: { sources: [], libs: [], handles: {}, buildPaths: {} },
+    editor: { sources: [], libs: [], handles: {}, buildPaths: {} },
+    blocks: assets.blocks || [],
+    modules: assets.modules || [],
+    manualEntries: assets.manualEntries || [],
     buildFolder: assets.buildFolder
   };
 
@@ -968,6 +1069,16 @@ function categorizeAssets(assets) {
         result[context].sources.push(style);
       }
     }
+
+    // Handles et chemins de build des sources uniquement (les libs gardent leur fichier de build)
+    result[context].handles = Object.fromEntries(
+      Object.entries(assets[context].handles || {})
+        .filter(([, source]) => source && result[context].sources.includes(source))
+    );
+    result[context].buildPaths = Object.fromEntries(
+      Object.entries(assets[context].buildPaths || {})
+        .filter(([source]) => result[context].sources.includes(source))
+    );
   }
 
   return result;
@@ -997,6 +1108,50 @@ export function detectBuildStructure() {
   };
 }
 
+/**
+ * Sources supplémentaires de vite-wp.config.js (option entries), relatives au thème
+ */
+function getExtraEntries() {
+  return (PROJECT_CONFIG.config.entries || []).map(entry => normalizePath(entry).replace(/^\.?\//, ''));
+}
+
+/**
+ * Nom d'entrée Rollup d'une correspondance du manifest : chemin de build sans dossier de build ni extension
+ * Ex: dist/js/app.min.js → js/app (vite.config.js restaure js/app.min.js dans le dossier de build)
+ */
+function getManifestEntryName(buildPath, buildFolder) {
+  const cleanBuildFolder = (buildFolder || '').replace(/^\/+|\/+$/g, '');
+  const pathWithoutBuild = cleanBuildFolder && buildPath.startsWith(cleanBuildFolder + '/')
+    ? buildPath.substring(cleanBuildFolder.length + 1)
+    : removeBuildPrefix(buildPath);
+
+  return pathWithoutBuild.replace(/(?:\.min)?\.(m?js|css)$/, '');
+}
+
+/**
+ * Affiche l'origine des entrées construites : détectées (enqueues, block.json) ou manuelles (vite-wp.config.js)
+ */
+export function logEntryOrigins(assets) {
+  const manualEntries = assets.manualEntries || [];
+  const extraEntries = getExtraEntries();
+  const manualSources = new Set([...manualEntries.map(entry => entry.source), ...extraEntries]);
+
+  const detectedSources = new Set(
+    ['front', 'admin', 'editor']
+      .flatMap(context => assets[context].sources)
+      .filter(source => !manualSources.has(source))
+  );
+
+  console.log(`\nEntrées : ${detectedSources.size} détectée(s), ${manualSources.size} manuelle(s)`);
+
+  for (const entry of manualEntries) {
+    console.log(`   ✎ ${entry.build} ← ${entry.source}${entry.enqueued ? '' : ' (non enqueued)'}`);
+  }
+  for (const source of extraEntries) {
+    console.log(`   ✎ ${source} (entries)`);
+  }
+}
+
 /**
  * Génère les entry points Rollup depuis les assets détectés
  */
@@ -1010,7 +1165,26 @@ export function generateRollupInputs(assets) {
     ...assets.editor.sources
   ];
 
-  const uniqueSources = [...new Set(allSources)];
+  // Entrées supplémentaires de vite-wp.config.js (non enqueued : workers, chunks chargés à la demande...)
+  const extraEntries = getExtraEntries();
+
+  // Manifest de vite-wp.config.js : construit exactement au chemin déclaré (source → nom d'entrée)
+  const manualEntries = assets.manualEntries || [];
+  const manualNames = new Map(
+    manualEntries.map(entry => [entry.source, getManifestEntryName(entry.build, assets.buildFolder)])
+  );
+
+  const uniqueSources = [...new Set([
+    ...allSources,
+    ...manualEntries.map(entry => entry.source),
+    ...extraEntries
+  ])];
+
+  // Sources référencées par des block.json : arborescence complète préservée dans le build
+  // Ex: blocks/hero/index.js → dist/blocks/hero/index.min.js
+  const blockSources = new Set(
+    (assets.blocks || []).flatMap(block => block.assets.map(blockAsset => blockAsset.source))
+  );
 
   uniqueSources.forEach(path => {
     const absolutePath = resolve(PATHS.themePath, path);
@@ -1020,9 +1194,20 @@ export function generateRollupInputs(assets) {
       return;
     }
 
-    const pathWithoutExt = path.replace(/\.(js|ts|scss|css)$/, '');
+    if (manualNames.has(path)) {
+      inputs[manualNames.get(path)] = absolutePath;
+      return;
+    }
+
+    const pathWithoutExt = path.replace(/\.(jsx?|tsx?|scss|css)$/, '');
     const pathParts = pathWithoutExt.split('/');
 
+    // Le nom d'entrée garde les '/' (pas de §) : vite.config.js le reconnaît comme chemin préservé
+    if (blockSources.has(path)) {
+      inputs[pathWithoutExt] = absolutePath;
+      return;
+    }
+
     let name;
     if (pathParts.length > 2) {
       name = pathParts.slice(-2).join('§');
@@ -1048,3 +1233,28 @@ export function generateRollupInputs(assets) {
 
   return inputs;
 }
+
+/**
+ * Sépare les entrées Rollup selon l'API d'enqueue des scripts
+ * - wp_enqueue_script_module / viewScriptModule → module ES (passe principale, avec les styles)
+ * - wp_enqueue_script → script classique, construit en IIFE autonome (une passe par entrée)
+ *
+ * @param {Object} inputs - Entrées générées par generateRollupInputs()
+ * @param {Object} assets - Assets détectés (assets.modules = sources enqueued en module)
+ * @returns {{ moduleInputs: Object, classicInputs: Object }}
+ */
+export function splitRollupInputsByFormat(inputs, assets) {
+  const moduleSources = new Set((assets.modules || []).map(source => resolve(PATHS.themePath, source)));
+  const moduleInputs = {};
+  const classicInputs = {};
+
+  for (const [name, absolutePath] of Object.entries(inputs)) {
+    if (/\.(jsx?|tsx?)$/.test(absolutePath) && !moduleSources.has(absolutePath)) {
+      classicInputs[name] = absolutePath;
+    } else {
+      moduleInputs[name] = absolutePath;
+    }
+  }
+
+  return { moduleInputs, classicInputs };
+}
@@ -0,0 +1,218 @@
+import { PATHS } from '../paths.config.js';
+import { getUnhashedFileName } from './hashed-filenames.plugin.js';
+import { getChunkVersion } from './asset-versions.plugin.js';
+
+/**
+ * Plugin Vite pour mapper les imports WordPress/React vers les globals fournis par WordPress
+ *
+ * Équivalent de @wordpress/dependency-extraction-webpack-plugin :
+ * - import { useState } from '@wordpress/element' → const { useState } = window.wp.element;
+ * - import $ from 'jquery' → const $ = window.jQuery;
+ * - Génère à côté de chaque entrée un fichier name.asset.php (dependencies + version)
+ *
+ * Les imports sont réécrits dans le code (dev comme build) plutôt que marqués external :
+ * le même code fonctionne en module ES, en IIFE et servi par Vite en dev.
+ */
+
+// Packages fournis comme globals par WordPress (hors @wordpress/*)
+const VENDOR_GLOBALS = {
+  'react': { global: 'React', handle: 'react' },
+  'react-dom': { global: 'ReactDOM', handle: 'react-dom' },
+  'react/jsx-runtime': { global: 'ReactJSXRuntime', handle: 'react-jsx-runtime' },
+  'react/jsx-dev-runtime': { global: 'ReactJSXRuntime', handle: 'react-jsx-runtime' },
+  'jquery': { global: 'jQuery', handle: 'jquery' },
+  'lodash': { global: 'lodash', handle: 'lodash' },
+  'lodash-es': { global: 'lodash', handle: 'lodash' },
+  'moment': { global: 'moment', handle: 'moment' },
+};
+
+// Packages @wordpress/* sans global : bundlés normalement
+const BUNDLED_WORDPRESS_PACKAGES = [
+  '@wordpress/dataviews',
+  '@wordpress/fields',
+  '@wordpress/icons',
+  '@wordpress/interface',
+  '@wordpress/sync',
+  '@wordpress/undo-manager',
+  '@wordpress/upload-media',
+];
+
+// Packages @wordpress/* distribués en script modules : laissés en import (importmap WordPress)
+export const WORDPRESS_SCRIPT_MODULES = [
+  '@wordpress/interactivity',
+  '@wordpress/interactivity-router',
+];
+
+/**
+ * Retourne le global et le handle WordPress d'un import, ou null s'il doit être bundlé
+ * Ex: '@wordpress/block-editor' → { global: 'wp.blockEditor', handle: 'wp-block-editor' }
+ */
+export function getWordPressGlobal(source) {
+  if (VENDOR_GLOBALS[source]) {
+    return VENDOR_GLOBALS[source];
+  }
+
+  const match = source.match(/^@wordpress\/([a-z0-9-]+)$/);
+  if (!match || BUNDLED_WORDPRESS_PACKAGES.includes(source) || WORDPRESS_SCRIPT_MODULES.includes(source)) {
+    return null;
+  }
+
+  const camelCaseName = match[1].replace(/-([a-z0-9])/g, (_, letter) => letter.toUpperCase());
+
+  return { global: `wp.${camelCaseName}`, handle: `wp-${match[1]}` };
+}
+
+/**
+ * Construit le code remplaçant une déclaration d'import
+ * Ex: import el, { a, b as c } from '...' → const el = window.wp.element; const { a, b: c } = window.wp.element;
+ */
+function buildGlobalDeclaration(node, globalName) {
+  const globalExpression = `window.${globalName}`;
+  const declarations = [];
+  const namedImports = [];
+
+  for (const specifier of node.specifiers) {
+    if (specifier.type === 'ImportDefaultSpecifier' || specifier.type === 'ImportNamespaceSpecifier') {
+      declarations.push(`const ${specifier.local.name} = ${globalExpression};`);
+    } else {
+      const importedName = specifier.imported.name ?? specifier.imported.value;
+      namedImports.push(importedName === specifier.local.name
+        ? importedName
+        : `${importedName}: ${specifier.local.name}`);
+    }
+  }
+
+  if (namedImports.length > 0) {
+    declarations.push(`const { ${namedImports.join(', ')} } = ${globalExpression};`);
+  }
+
+  return declarations.join(' ');
+}
+
+/**
+ * Génère le contenu d'un fichier .asset.php
+ */
+function generateAssetPhp(dependencies, version) {
+  const phpDependencies = dependencies
+    .map(dependency => typeof dependency === 'string'
+      ? `'${dependency}'`
+      : `array('id' => '${dependency.id}', 'import' => '${dependency.import}')`)
+    .join(', ');
+
+  return `<?php return array('dependencies' => array(${phpDependencies}), 'version' => '${version}');\n`;
+}
+
+export function wordpressGlobalsPlugin() {
+  // Handles WordPress utilisés par chaque module du thème (id → Set de handles)
+  const moduleHandles = new Map();
+
+  return {
+    name: 'wordpress-globals',
+    enforce: 'post', // Après esbuild : JSX/TS déjà compilés (imports react/jsx-runtime inclus)
+
+    transform(code, id) {
+      // Uniquement les fichiers JS du thème (pas node_modules, ni libs minifiées, ni modules virtuels)
+      const isThemeJS =
+        !id.startsWith('\0') &&
+        id.includes(PATHS.themePath.replace(/\\/g, '/')) &&
+        !id.includes('/node_modules/') &&
+        !id.endsWith('.min.js') &&
+        /\.(m?js|jsx|ts|tsx)$/.test(id.split('?')[0]);
+
+      if (!isThemeJS || !/\bfrom\s*['"]|\bimport\s*['"]/.test(code)) {
+        return null;
+      }
+
+      let ast;
+      try {
+        ast = this.parse(code);
+      } catch (err) {
+        return null; // Laisser Vite signaler l'erreur de syntaxe
+      }
+
+      const handles = new Set();
+      const replacements = [];
+
+      for (const node of ast.body) {
+        if (node.type !== 'ImportDeclaration') continue;
+
+        const mapping = getWordPressGlobal(node.source.value);
+        if (!mapping) continue;
+
+        handles.add(mapping.handle);
+        replacements.push({ start: node.start, end: node.end, code: buildGlobalDeclaration(node, mapping.global) });
+      }
+
+      moduleHandles.set(id, handles);
+
+      if (replacements.length === 0) {
+        return null;
+      }
+
+      // Remplacer de la fin vers le début pour garder les positions valides
+      let transformedCode = code;
+      for (const { start, end, code: replacement } of replacements.reverse()) {
+        transformedCode = transformedCode.slice(0, start) + replacement + transformedCode.slice(end);
+      }
+
+      return {
+        code: transformedCode,
+        map: null,
+      };
+    },
+
+    // Générer name.asset.php à côté de chaque entrée JS (lu par register_block_type() et les thèmes)
+    generateBundle(options, bundle) {
+      for (const chunk of Object.values(bundle)) {
+        if (chunk.type !== 'chunk' || !chunk.isEntry || !chunk.facadeModuleId) continue;
+        if (!/\.(m?js|jsx|ts|tsx)$/.test(chunk.facadeModuleId)) continue;
+
+        const dependencies = new Set();
+        const moduleDependencies = [];
+
+        // Parcourir le chunk et les chunks partagés qu'il importe (modules ES)
+        const visitedChunks = new Set();
+        const visitChunk = (currentChunk) => {
+          if (visitedChunks.has(currentChunk.fileName)) return;
+          visitedChunks.add(currentChunk.fileName);
+
+          for (const moduleId of currentChunk.moduleIds) {
+            for (const handle of moduleHandles.get(moduleId) || []) {
+              dependencies.add(handle);
+            }
+          }
+
+          for (const importedFile of currentChunk.imports) {
+            if (bundle[importedFile]?.type === 'chunk') visitChunk(bundle[importedFile]);
+          }
+        };
+        visitChunk(chunk);
+
+        // Script modules WordPress importés (format ES uniquement)
+        for (const importedId of chunk.imports) {
+          if (WORDPRESS_SCRIPT_MODULES.includes(importedId)) {
+            moduleDependencies.push({ id: importedId, import: 'static' });
+          }
+        }
+        for (const importedId of chunk.dynamicImports) {
+          if (WORDPRESS_SCRIPT_MODULES.includes(importedId)) {
+            moduleDependencies.push({ id: importedId, import: 'dynamic' });
+          }
+        }
+
+        // Script module : seules les dépendances modules sont valides pour wp_enqueue_script_module()
+        const assetDependencies = options.format === 'es'
+          ? moduleDependencies
+          : [...dependencies].sort();
+
+        this.emitFile({
+          type: 'asset',
+          // Nom sans hash (HASHED_FILENAMES) : lu à côté du fichier enqueued (main.min.asset.php)
+          fileName: getUnhashedFileName(chunk.fileName).replace(/\.js$/, '.asset.php'),
+          // Même version que versions.php (hash du code et des chunks importés)
+          source: generateAssetPhp(assetDependencies, getChunkVersion(chunk, bundle)),
+        });
+      }
+    },
+  };
+}
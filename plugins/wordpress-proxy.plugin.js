@@ -0,0 +1,243 @@
+/**
+ * Plugin Vite pour servir WordPress à travers le serveur de dev (DEV_MODE=proxy)
+ *
+ * Alternative au MU-plugin : rien n'est écrit dans wp-content/mu-plugins.
+ * - Toutes les requêtes hors Vite (/@vite, /@fs, /node_modules...) sont relayées vers PATHS.wpUrl
+ * - Le HTML du front est réécrit à la volée : balises des assets de build retirées,
+ *   client Vite + sources injectés (équivalent de vite_remove_build_assets_callback et vite_inject_front_assets)
+ * - Les URLs absolues de WordPress (HTML, JSON, redirections) pointent vers Vite pour rester dans le proxy
+ *
+ * Utile sur les installations WordPress en lecture seule ou partagées, et quand l'ob_start
+ * du MU-plugin entre en conflit avec un plugin de cache.
+ */
+
+import http from 'http';
+import https from 'https';
+import { PATHS, HMR_BODY_RESET, HMR_FRESH_BODY, PHP_MORPH } from '../paths.config.js';
+import { detectAssetsFromWordPress } from './wordpress-assets-detector.plugin.js';
+
+// Préfixes servis par Vite lui-même (jamais relayés à WordPress)
+const VITE_PATH_PREFIXES = ['/@vite/', '/@fs/', '/@id/', '/@react-refresh', '/node_modules/', '/__vite'];
+
+// Réponses dont les URLs WordPress sont réécrites vers Vite
+const REWRITABLE_CONTENT_TYPES = /^(text\/html|application\/(?:json|ld\+json))/i;
+
+const wpOrigin = new URL(PATHS.wpUrl).origin;
+
+/**
+ * Origine du serveur Vite, lue à chaque requête (le port-killer peut changer de port au démarrage)
+ */
+function getViteOrigin() {
+  return new URL(PATHS.viteUrl).origin;
+}
+
+/**
+ * Échappe une chaîne pour l'utiliser dans une RegExp
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Remplace l'origine WordPress par celle de Vite (forme normale et échappée JSON http:\/\/)
+ * Lookahead : http://localhost ne doit pas matcher http://localhost:8080
+ */
+function rewriteOrigin(content, fromOrigin, toOrigin) {
+  const escapedFrom = fromOrigin.replace(/\//g, '\\/');
+  const escapedTo = toOrigin.replace(/\//g, '\\/');
+
+  return content
+    .replace(new RegExp(`${escapeRegExp(fromOrigin)}(?![\\w:.-])`, 'g'), toOrigin)
+    .replace(new RegExp(`${escapeRegExp(escapedFrom)}(?![\\w:.-])`, 'g'), escapedTo);
+}
+
+/**
+ * URL Vite d'une source du thème (même convention que vite_source_url() du MU-plugin)
+ */
+function getSourceUrl(sourcePath) {
+  const absolutePath = `${PATHS.themePath}/${sourcePath}`.replace(/\\/g, '/');
+  return `${getViteOrigin()}/@fs/${absolutePath.replace(/^\//, '')}`;
+}
+
+/**
+ * Réécrit le HTML d'une page du front
+ * 1. Retire les <link> CSS, preloads JS et <script src> du dossier de build
+ *    (les scripts inline : wp_localize_script, wp_add_inline_script, restent en place)
+ * 2. Injecte en début de <head> (après <meta charset>) : client Vite, hmr-body-reset.js et hmr-php-morph.js (si activés), sources JS/SCSS
+ *
+ * @param {string} html - HTML renvoyé par WordPress
+ * @param {Object} detectedAssets - Assets détectés (detectAssetsFromWordPress)
+ */
+export function transformWordPressHtml(html, detectedAssets) {
+  const buildFolder = (detectedAssets.buildFolder || PATHS.assetFolders.dist).replace(/^\/+|\/+$/g, '');
+  const buildUrl = escapeRegExp(`/${PATHS.themePathRelative}/${buildFolder}/`);
+
+  const transformedHtml = html
+    // <link rel="stylesheet"> et <link rel="preload" as="style"> du dossier de build
+    .replace(
+      new RegExp(`<link[^>]*${buildUrl}[^>]*\\.css[^>]*>`, 'gi'),
+      '<!-- Vite Dev Mode: CSS supprimé -->'
+    )
+    // <link rel="preload|modulepreload"> des scripts du dossier de build
+    .replace(
+      new RegExp(`<link[^>]*rel=["'](?:preload|modulepreload)["'][^>]*${buildUrl}[^>]*\\.js[^>]*>`, 'gi'),
+      '<!-- Vite Dev Mode: preload JS supprimé -->'
+    )
+    // <script src> du dossier de build (classiques et script modules)
+    .replace(
+      new RegExp(`<script[^>]*src=["'][^"']*${buildUrl}[^"']*\\.js[^>]*>[\\s\\S]*?<\\/script>`, 'gi'),
+      '<!-- Vite Dev Mode: script JS supprimé -->'
+    );
+
+  const viteOrigin = getViteOrigin();
+  const tags = [`<script type="module" src="${viteOrigin}/@vite/client"></script>`];
+
+  if (HMR_BODY_RESET) {
+    const hmrHelperPath = `${PATHS.bundlerRoot.replace(/\\/g, '/')}/scripts/hmr-body-reset.js`;
+    const query = HMR_FRESH_BODY ? '?fresh=1' : '';
+    tags.push(`<script type="module" src="${viteOrigin}/@fs/${hmrHelperPath.replace(/^\//, '')}${query}"></script>`);
+  }
+
+  if (PHP_MORPH) {
+    const morphHelperPath = `${PATHS.bundlerRoot.replace(/\\/g, '/')}/scripts/hmr-php-morph.js`;
+    tags.push(`<script type="module" src="${viteOrigin}/@fs/${morphHelperPath.replace(/^\//, '')}"></script>`);
+  }
+
+  for (const sourcePath of detectedAssets.front.sources) {
+    if (/\.(jsx?|tsx?)$/.test(sourcePath)) {
+      tags.push(`<script type="module" src="${getSourceUrl(sourcePath)}"></script>`);
+    } else if (/\.(scss|css)$/.test(sourcePath)) {
+      tags.push(`<link rel="stylesheet" href="${getSourceUrl(sourcePath)}">`);
+    }
+  }
+
+  const injection = `\n<!-- Vite Dev Mode actif [proxy] (${detectedAssets.front.sources.length} assets injectés) -->\n${tags.join('\n')}\n`;
+
+  // Début du <head>, après <meta charset> : même position que wp_head priorité 1 dans le MU-plugin
+  for (const anchor of [/<meta[^>]*charset[^>]*>/i, /<head(\s[^>]*)?>/i]) {
+    if (anchor.test(transformedHtml)) {
+      return transformedHtml.replace(anchor, match => match + injection);
+    }
+  }
+
+  return injection + transformedHtml;
+}
+
+/**
+ * Page du front (pas l'admin ni la page de connexion) : seule réécrite avec les sources Vite
+ */
+function isFrontRequest(url) {
+  const path = url.split('?')[0];
+  return !path.includes('/wp-admin/') && !path.endsWith('/wp-login.php');
+}
+
+/**
+ * Réécrit les en-têtes de réponse WordPress pour le navigateur
+ */
+function rewriteResponseHeaders(headers) {
+  const rewrittenHeaders = { ...headers };
+
+  if (rewrittenHeaders.location) {
+    rewrittenHeaders.location = rewriteOrigin(rewrittenHeaders.location, wpOrigin, getViteOrigin());
+  }
+
+  // Cookies : pas de Domain (hôte de WordPress) ni de Secure (Vite sert en http)
+  if (rewrittenHeaders['set-cookie']) {
+    rewrittenHeaders['set-cookie'] = rewrittenHeaders['set-cookie'].map(cookie =>
+      cookie.replace(/;\s*domain=[^;]*/gi, '').replace(/;\s*secure/gi, '')
+    );
+  }
+
+  return rewrittenHeaders;
+}
+
+/**
+ * Relaye une requête vers WordPress et renvoie la réponse (réécrite si HTML/JSON)
+ */
+function proxyRequest(req, res) {
+  const target = new URL(req.url, PATHS.wpUrl);
+  const client = target.protocol === 'https:' ? https : http;
+
+  const headers = {
+    ...req.headers,
+    host: target.host,
+  };
+
+  // Réponse non compressée : le HTML doit pouvoir être réécrit
+  delete headers['accept-encoding'];
+
+  for (const header of ['origin', 'referer']) {
+    if (headers[header]) {
+      headers[header] = rewriteOrigin(headers[header], getViteOrigin(), wpOrigin);
+    }
+  }
+
+  const proxyReq = client.request(target, {
+    method: req.method,
+    headers,
+    rejectUnauthorized: false, // Certificats auto-signés des serveurs locaux
+  }, (proxyRes) => {
+    const responseHeaders = rewriteResponseHeaders(proxyRes.headers);
+    const contentType = proxyRes.headers['content-type'] || '';
+
+    if (!REWRITABLE_CONTENT_TYPES.test(contentType)) {
+      res.writeHead(proxyRes.statusCode, responseHeaders);
+      proxyRes.pipe(res);
+      return;
+    }
+
+    const chunks = [];
+    proxyRes.on('data', chunk => chunks.push(chunk));
+    proxyRes.on('end', async () => {
+      let body = rewriteOrigin(Buffer.concat(chunks).toString('utf8'), wpOrigin, getViteOrigin());
+
+      if (/text\/html/i.test(contentType) && isFrontRequest(req.url)) {
+        try {
+          body = transformWordPressHtml(body, await detectAssetsFromWordPress());
+        } catch (err) {
+          console.warn(`   ⚠ Proxy WordPress : détection des assets impossible (${err.message})`);
+
+          res.writeHead(502, { 'content-type': 'text/plain; charset=utf-8' });
+          res.end(`Vite WP Bundler : détection des assets impossible\n${err.message}`);
+          return;
+        }
+      }
+
+      delete responseHeaders['content-encoding'];
+      delete responseHeaders['transfer-encoding'];
+      responseHeaders['content-length'] = Buffer.byteLength(body);
+
+      res.writeHead(proxyRes.statusCode, responseHeaders);
+      res.end(body);
+    });
+  });
+
+  proxyReq.on('error', (err) => {
+    console.warn(`   ⚠ Proxy WordPress : ${PATHS.wpUrl} injoignable (${err.message})`);
+
+    if (!res.headersSent) {
+      res.writeHead(502, { 'content-type': 'text/plain; charset=utf-8' });
+    }
+    res.end(`Vite WP Bundler : WordPress injoignable sur ${PATHS.wpUrl}\n${err.message}`);
+  });
+
+  req.pipe(proxyReq);
+}
+
+export function wordpressProxyPlugin() {
+  return {
+    name: 'wordpress-proxy',
+    apply: 'serve',
+
+    configureServer(server) {
+      // Middleware ajouté avant ceux de Vite : ne laisser passer que ses propres URLs
+      server.middlewares.use((req, res, next) => {
+        if (VITE_PATH_PREFIXES.some(prefix => req.url.startsWith(prefix))) {
+          return next();
+        }
+
+        proxyRequest(req, res);
+      });
+    },
+  };
+}
@@ -0,0 +1,200 @@
+import { build } from 'vite';
+import chokidar from 'chokidar';
+import { existsSync, rmSync } from 'fs';
+import { resolve, relative } from 'path';
+import { PATHS, BUILD_FOLDER } from '../paths.config.js';
+import {
+  detectAssetsFromWordPress,
+  invalidateDetectedAssets,
+  generateRollupInputs,
+  splitRollupInputsByFormat
+} from '../plugins/wordpress-assets-detector.plugin.js';
+import { getScannedPhpFiles, getScannedBlockFiles } from '../plugins/cache-manager.plugin.js';
+
+/**
+ * Build continu (npm run build:watch)
+ *
+ * Pour les environnements sans serveur de dev (staging partagé) : même build que npm run build,
+ * mais les passes Vite restent en watch et ne recompilent que ce qui change.
+ * - Passe principale et passes classiques (IIFE) en watch Rollup (VITE_WP_WATCH=1 lu par vite.config.js)
+ * - Dossier de build vidé une seule fois au démarrage (emptyOutDir désactivé entre deux reconstructions)
+ * - copyStaticAssetsPlugin / copyMinifiedLibsPlugin ne recopient que les fichiers modifiés
+ * - Fichiers PHP scannés et block.json surveillés : si les entrées détectées changent, le build redémarre
+ *
+ * Usage :
+ *   npm run build:watch
+ */
+
+const dim = '\x1b[2m';
+const bold = '\x1b[1m';
+const cyan = '\x1b[36m';
+const green = '\x1b[32m';
+const red = '\x1b[31m';
+const reset = '\x1b[0m';
+
+const configFile = resolve(PATHS.bundlerRoot, 'vite.config.js');
+
+// Watcher Rollup de la passe principale (les passes classiques s'arrêtent avec lui)
+let buildWatcher = null;
+
+// Entrées du build en cours (comparées après chaque modification PHP)
+let currentEntries = null;
+
+/**
+ * Entrées Rollup détectées, réparties comme dans vite.config.js (modules ES / scripts classiques)
+ */
+async function detectEntries() {
+  const detectedAssets = await detectAssetsFromWordPress();
+  const buildFolder = (BUILD_FOLDER || detectedAssets.buildFolder || PATHS.assetFolders.dist).replace(/^\//, '');
+  const { moduleInputs, classicInputs } = splitRollupInputsByFormat(generateRollupInputs(detectedAssets), detectedAssets);
+
+  return { buildFolder, moduleInputs, classicInputs };
+}
+
+/**
+ * Chemin relatif au thème (affichage)
+ */
+function toThemePath(file) {
+  return relative(PATHS.themePath, file).replace(/\\/g, '/');
+}
+
+/**
+ * Liste lisible des entrées (pour afficher les ajouts / suppressions)
+ */
+function listEntries(entries) {
+  return [
+    ...Object.values(entries.moduleInputs).map(toThemePath),
+    ...Object.values(entries.classicInputs).map(source => `${toThemePath(source)} (script classique)`),
+  ];
+}
+
+/**
+ * Vide le dossier de build puis lance la passe principale en watch
+ */
+async function startBuild(entries) {
+  const buildPath = resolve(PATHS.themePath, entries.buildFolder);
+  if (existsSync(buildPath)) {
+    rmSync(buildPath, { recursive: true, force: true });
+  }
+
+  currentEntries = entries;
+  buildWatcher = await build({ configFile });
+}
+
+async function stopBuild() {
+  if (buildWatcher) {
+    await buildWatcher.close();
+    buildWatcher = null;
+  }
+}
+
+/**
+ * Rescanne le PHP et redémarre le build si les entrées ont changé
+ * @param {string[]} changedFiles - Fichiers PHP / block.json modifiés (chemins absolus)
+ */
+async function redetectEntries(changedFiles) {
+  await invalidateDetectedAssets();
+  const nextEntries = await detectEntries();
+
+  if (JSON.stringify(nextEntries) === JSON.stringify(currentEntries)) {
+    return; // Changement PHP sans effet sur les entrées (template, texte...)
+  }
+
+  const time = new Date().toLocaleTimeString('fr-FR', { hour12: false });
+  const files = changedFiles.map(toThemePath).join(', ');
+  console.log(`\n${dim}${time}${reset} ${bold}${cyan}[vite]${reset} ${green}entrées modifiées, redémarrage du build${reset} ${dim}${files}${reset}`);
+
+  const previous = listEntries(currentEntries);
+  const next = listEntries(nextEntries);
+  next.filter(entry => !previous.includes(entry)).forEach(entry => console.log(`   ${green}+ ${entry}${reset}`));
+  previous.filter(entry => !next.includes(entry)).forEach(entry => console.log(`   ${red}- ${entry}${reset}`));
+  if (nextEntries.buildFolder !== currentEntries.buildFolder) {
+    console.log(`   ${dim}dossier de build : ${currentEntries.buildFolder} → ${nextEntries.buildFolder}${reset}`);
+  }
+
+  await stopBuild();
+  await startBuild(nextEntries);
+}
+
+/**
+ * Surveille les fichiers PHP scannés (configurés + inclus lors du dernier scan)
+ * et les block.json (mêmes fichiers que le hash du cache de détection)
+ */
+function watchPhpFiles() {
+  const phpWatcher = chokidar.watch([], {
+    ignoreInitial: true,
+    awaitWriteFinish: {
+      stabilityThreshold: 200,
+      pollInterval: 100,
+    },
+  });
+
+  // Synchroniser la liste surveillée avec les fichiers du dernier scan (un require ajouté est suivi)
+  const syncWatchedFiles = () => {
+    const scannedFiles = [...getScannedPhpFiles(), ...getScannedBlockFiles()].map(file => resolve(PATHS.themePath, file));
+    const watchedFiles = Object.entries(phpWatcher.getWatched())
+      .flatMap(([dir, names]) => names.map(name => resolve(dir, name)));
+
+    phpWatcher.unwatch(watchedFiles.filter(file => !scannedFiles.includes(file)));
+    phpWatcher.add(scannedFiles.filter(file => !watchedFiles.includes(file)));
+  };
+
+  const pendingFiles = new Set();
+  let redetectionTimer = null;
+  let redetectionQueue = Promise.resolve();
+
+  const scheduleRedetection = (filePath) => {
+    pendingFiles.add(filePath);
+
+    // Regrouper les sauvegardes rapprochées
+    if (redetectionTimer) {
+      clearTimeout(redetectionTimer);
+    }
+
+    redetectionTimer = setTimeout(() => {
+      const changedFiles = [...pendingFiles];
+      pendingFiles.clear();
+      redetectionTimer = null;
+
+      // Une détection à la fois (une rafale peut arriver pendant le redémarrage précédent)
+      redetectionQueue = redetectionQueue
+        .then(async () => {
+          await redetectEntries(changedFiles);
+          syncWatchedFiles();
+        })
+        .catch(err => console.warn(`   ⚠ Nouvelle détection des entrées impossible : ${err.message}`));
+    }, 100);
+  };
+
+  phpWatcher.on('change', scheduleRedetection);
+  phpWatcher.on('add', scheduleRedetection);
+  phpWatcher.on('unlink', scheduleRedetection);
+
+  syncWatchedFiles();
+  return phpWatcher;
+}
+
+async function main() {
+  // Lu par vite.config.js (passe principale et passes classiques)
+  process.env.VITE_WP_WATCH = '1';
+
+  console.log(`\n${bold}Build continu${reset} — thème ${cyan}${PATHS.themeName}${reset} ${dim}(Ctrl+C pour arrêter)${reset}\n`);
+
+  await startBuild(await detectEntries());
+  const phpWatcher = watchPhpFiles();
+
+  const shutdown = async () => {
+    console.log('\n🛑 Arrêt du build continu...');
+    await phpWatcher.close();
+    await stopBuild();
+    process.exit(0);
+  };
+
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch(err => {
+  console.error(`❌ Build continu impossible : ${err.message}`);
+  process.exit(1);
+});
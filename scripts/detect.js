@@ -0,0 +1,128 @@
+import { PATHS, PHP_FILES_TO_SCAN, PROJECT_CONFIG } from '../paths.config.js';
+import { explainAssetDetection } from '../plugins/wordpress-assets-detector.plugin.js';
+
+/**
+ * Rapport de détection des assets (npm run detect)
+ *
+ * Rejoue la détection sans démarrer Vite et affiche, pour chaque enqueue :
+ * hook, handle, expression PHP brute, chemin de build résolu, source retenue,
+ * stratégie de correspondance, contextes et classification source/lib.
+ *
+ * Usage :
+ *   npm run detect            → rapport lisible
+ *   npm run detect -- --json  → JSON (scripts, CI)
+ */
+
+const dim = '\x1b[2m';
+const bold = '\x1b[1m';
+const cyan = '\x1b[36m';
+const green = '\x1b[32m';
+const yellow = '\x1b[33m';
+const red = '\x1b[31m';
+const reset = '\x1b[0m';
+
+const STRATEGY_LABELS = {
+  'manifest': 'manifest (vite-wp.config.js)',
+  'preserved-path': 'arborescence préservée',
+  'filename': 'nom de fichier',
+  'signature': 'signature',
+  'block-path': 'dossier du bloc',
+};
+
+function formatStrategy(strategy, score) {
+  const label = STRATEGY_LABELS[strategy] || strategy;
+  return score !== null && score !== undefined ? `${label} (score ${Math.round(score * 100)}%)` : label;
+}
+
+function formatSource(source, strategy, score) {
+  if (!source) {
+    return `${red}introuvable${reset}`;
+  }
+
+  return `${green}${source}${reset} ${dim}[${formatStrategy(strategy, score)}]${reset}`;
+}
+
+function formatClassification(classification) {
+  if (classification === 'lib') return `${yellow}lib${reset} ${dim}(copiée telle quelle)${reset}`;
+  if (classification === 'source') return 'source';
+  return '-';
+}
+
+function printEnqueue(enqueue) {
+  const location = `${enqueue.file}:${enqueue.line}`;
+  console.log(`${bold}${enqueue.hook}${reset}  ${cyan}${enqueue.handle ?? '(handle dynamique)'}${reset}  ${dim}${enqueue.func} · ${location}${reset}`);
+  console.log(`   PHP      : ${enqueue.raw}`);
+
+  if (enqueue.strategy === 'ignored') {
+    console.log(`   Build    : ${dim}ignoré (URL externe ou expression non résolue)${reset}\n`);
+    return;
+  }
+
+  console.log(`   Build    : ${enqueue.buildPath}`);
+  console.log(`   Source   : ${formatSource(enqueue.source, enqueue.strategy, enqueue.score)}`);
+  console.log(`   Contexte : ${enqueue.contexts.join(', ')} · ${enqueue.kind} · ${formatClassification(enqueue.classification)}\n`);
+}
+
+function printBlock(block) {
+  console.log(`${bold}block.json${reset}  ${cyan}${block.name}${reset}  ${dim}${block.manifest}${reset}`);
+
+  for (const blockAsset of block.assets) {
+    console.log(`   ${blockAsset.field.padEnd(16)} : ${blockAsset.path} → ${formatSource(blockAsset.source, blockAsset.strategy, blockAsset.score)}`);
+    console.log(`   ${''.padEnd(16)}   ${dim}${blockAsset.handle} · ${blockAsset.contexts.join(', ')} · ${blockAsset.classification}${reset}`);
+  }
+
+  console.log('');
+}
+
+async function main() {
+  const report = await explainAssetDetection();
+
+  if (process.argv.includes('--json')) {
+    console.log(JSON.stringify({
+      theme: PATHS.themeName,
+      configFile: PROJECT_CONFIG.file,
+      ...report,
+    }, null, 2));
+    return;
+  }
+
+  console.log(`\n${bold}Détection des assets${reset} — thème ${cyan}${PATHS.themeName}${reset}`);
+  console.log(`   Fichiers PHP     : ${report.phpFiles.length > 0 ? report.phpFiles.join(', ') : PHP_FILES_TO_SCAN.join(', ')}`);
+  console.log(`   Dossier de build : ${report.buildFolder}`);
+  if (PROJECT_CONFIG.file) {
+    console.log(`   Configuration    : ${PROJECT_CONFIG.file}`);
+  }
+  console.log('');
+
+  report.enqueues.forEach(printEnqueue);
+  report.blocks.forEach(printBlock);
+
+  if (report.manualEntries.length > 0 || report.extraEntries.length > 0) {
+    console.log(`${bold}Entrées manuelles${reset} ${dim}(vite-wp.config.js)${reset}`);
+    for (const entry of report.manualEntries) {
+      const status = entry.exists ? '' : ` ${red}(source introuvable)${reset}`;
+      console.log(`   ${entry.build} ← ${entry.source}${entry.module ? ' · module' : ''}${status}`);
+    }
+    for (const source of report.extraEntries) {
+      console.log(`   ${source} ${dim}(entries)${reset}`);
+    }
+    console.log('');
+  }
+
+  const resolved = report.enqueues.filter(enqueue => enqueue.source);
+  const missing = report.enqueues.filter(enqueue => enqueue.strategy !== 'ignored' && !enqueue.source);
+  const ignored = report.enqueues.filter(enqueue => enqueue.strategy === 'ignored');
+
+  console.log(
+    `${bold}Résumé${reset} : ${report.enqueues.length} enqueue(s), ` +
+    `${green}${resolved.length} résolu(s)${reset}, ` +
+    `${missing.length > 0 ? red : dim}${missing.length} introuvable(s)${reset}, ` +
+    `${dim}${ignored.length} ignoré(s)${reset}, ` +
+    `${report.blocks.length} bloc(s)\n`
+  );
+}
+
+main().catch(err => {
+  console.error(`❌ Erreur de détection : ${err.message}`);
+  process.exit(1);
+});
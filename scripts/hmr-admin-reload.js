@@ -0,0 +1,44 @@
+/**
+ * Vite HMR Admin Reload Helper
+ *
+ * Script injecté dans l'admin et l'éditeur Gutenberg (HMR_ADMIN / HMR_EDITOR) :
+ * - Le reset du body (hmr-body-reset.js) casserait l'application React de l'éditeur
+ * - accept-all-hmr accepte pourtant les updates JS du thème, sans effet visible ici
+ * → Reload complet sur changement d'un module JS chargé par la page, le CSS reste en HMR natif
+ * → Reload complet sur changement PHP en mode PHP_MORPH (le morph ne concerne que le front)
+ */
+
+(function() {
+  'use strict';
+
+  if (!import.meta.hot) {
+    return;
+  }
+
+  // Accepter les changements de ce module sans callback
+  import.meta.hot.accept(() => {});
+
+  /**
+   * Vérifie si un module a été chargé par cette page
+   * Évite de recharger l'éditeur (et perdre le contenu non sauvegardé) pour un JS du front
+   */
+  function isLoadedInPage(path) {
+    return performance.getEntriesByType('resource').some(entry => entry.name.includes(path));
+  }
+
+  import.meta.hot.on('vite-wp:php-update', () => {
+    window.location.reload();
+  });
+
+  import.meta.hot.on('vite:beforeUpdate', (payload) => {
+    const hasJsUpdate = payload.updates?.some(update =>
+      update.type === 'js-update' &&
+      !update.path.includes('hmr-admin-reload.js') &&
+      isLoadedInPage(update.path)
+    );
+
+    if (hasJsUpdate) {
+      window.location.reload();
+    }
+  });
+})();
@@ -5,6 +5,14 @@
  * - Cache le HTML du body au chargement
  * - Détecte les changements HMR sur les modules JS
  * - Reset le body et réinjecte les scripts Vite
+ * - Ou, si le module modifié possède une zone [data-hmr-boundary], ne restaure que cette zone
+ *   et ne réexécute que ce module
+ * - Conserve la saisie des formulaires, le focus et les attributs d'état (open, aria-selected...)
+ *   sauf sous [data-hmr-no-preserve]
+ * - HMR_FRESH_BODY=true : HTML du body re-téléchargé depuis WordPress à chaque reset
+ *   (le HTML capturé au chargement reste le repli hors ligne / en cas d'erreur)
+ * - Libère ce que le code du thème a créé (listeners, timers, observers, rAF, window.viteWp.onDispose)
+ *   avant de réexécuter les scripts
  *
  * Avantages :
  * - Pas de modification du code du thème
@@ -12,21 +20,54 @@
  * - Simple et efficace
  */
 
+import { saveScrollPosition, restoreScrollPosition } from './hmr-scroll.js';
+
 (function() {
   'use strict';
 
   // Mode debug (mettre à false pour désactiver les logs détaillés)
   const DEBUG = false;
 
+  // Body re-téléchargé à chaque reset (?fresh=1 ajouté à l'URL de ce script par le MU-plugin / le proxy)
+  const FRESH_BODY = new URL(import.meta.url).searchParams.has('fresh');
+
+  // Délai max du re-téléchargement avant repli sur le HTML capturé
+  const FRESH_BODY_TIMEOUT = 5000;
+
+  // Marqueurs d'erreur PHP / WordPress : le HTML capturé est préférable à une page d'erreur
+  const ERROR_PAGE_PATTERN = /<b>(?:Fatal error|Parse error)<\/b>:|<body[^>]*id=["']error-page["']/i;
+
   // Cache du HTML original du body
   let originalBodyHTML = null;
 
-  // Liste des scripts JS Vite sources à réinjecter (seulement .js, pas .scss/.css)
+  // Liste des scripts JS Vite sources à réinjecter (.js/.jsx/.ts/.tsx, pas .scss/.css)
   let viteSourceScripts = [];
 
+  // Extensions des sources JS servies par Vite
+  const JS_SOURCE_PATTERN = /\.(jsx?|tsx?)$/;
+
   // Position du scroll sauvegardée
   let savedScrollPosition = { x: 0, y: 0 };
 
+  // HTML initial des zones [data-hmr-boundary] : nom de zone → outerHTML de chaque élément (ordre du document)
+  let boundarySnapshots = new Map();
+
+  // Configuration servie par accept-all-hmr.plugin.js (hmrBoundaries, hmrStatefulAttributes de vite-wp.config.js)
+  let hmrConfigPromise = null;
+  let hmrConfig = { boundaries: {}, statefulAttributes: null };
+
+  // Attributs d'état conservés au reset (remplaçables par hmrStatefulAttributes dans vite-wp.config.js)
+  const DEFAULT_STATEFUL_ATTRIBUTES = ['open', 'aria-selected', 'aria-expanded'];
+
+  // Éléments dont l'attribut peut être absent alors qu'il faut mémoriser l'état (<details> refermé)
+  const STATEFUL_ATTRIBUTE_ELEMENTS = { open: 'details, dialog' };
+
+  // Champs jamais restaurés (valeurs pilotées par le serveur : nonces, fichiers...)
+  const IGNORED_INPUT_TYPES = ['hidden', 'file', 'password', 'submit', 'button', 'reset', 'image'];
+
+  // Opt-out : aucun état conservé pour l'élément et ses descendants
+  const NO_PRESERVE_SELECTOR = '[data-hmr-no-preserve]';
+
   // Tracker des event listeners window/document pour nettoyage
   let trackedListeners = [];
 
@@ -34,16 +75,176 @@
   const originalWindowAddEventListener = window.addEventListener;
   const originalDocumentAddEventListener = document.addEventListener;
 
+  /**
+   * Pile d'appel de l'ajout du listener : identifie le module qui l'a posé (reset d'une zone)
+   */
+  function captureStack() {
+    const stackTraceLimit = Error.stackTraceLimit;
+    Error.stackTraceLimit = 30;
+    const stack = new Error().stack || '';
+    Error.stackTraceLimit = stackTraceLimit;
+    return stack;
+  }
+
   window.addEventListener = function(type, listener, options) {
-    trackedListeners.push({ target: window, type, listener, options });
+    trackedListeners.push({ target: window, type, listener, options, stack: captureStack() });
     return originalWindowAddEventListener.call(this, type, listener, options);
   };
 
   document.addEventListener = function(type, listener, options) {
-    trackedListeners.push({ target: document, type, listener, options });
+    trackedListeners.push({ target: document, type, listener, options, stack: captureStack() });
     return originalDocumentAddEventListener.call(this, type, listener, options);
   };
 
+  // Ressources créées par le code du thème, libérées avant chaque reset : { dispose, stack }
+  let trackedDisposables = new Set();
+
+  // Callbacks window.viteWp.onInit en attente de la restauration du body (null hors reset)
+  let pendingInitCallbacks = null;
+
+  // Chemin de ce script, retiré des piles d'appel avant de chercher le code du thème
+  const SELF_PATH = new URL(import.meta.url).pathname;
+
+  /**
+   * Appel venant du code du thème (même critère que accept-all-hmr.plugin.js : fichier sous /themes/)
+   * Les timers du client Vite ou de WordPress ne sont jamais trackés
+   */
+  function isThemeStack(stack) {
+    return stack.split('\n').some(line => line.includes('/themes/') && !line.includes(SELF_PATH));
+  }
+
+  function trackDisposable(dispose, stack) {
+    const entry = { dispose, stack };
+    trackedDisposables.add(entry);
+    return entry;
+  }
+
+  /**
+   * Timers (setTimeout, setInterval, requestAnimationFrame)
+   * L'entrée est retirée quand le timer est annulé, ou exécuté pour setTimeout / requestAnimationFrame
+   */
+  function wrapTimer(setName, clearName, { once }) {
+    const nativeSet = window[setName];
+    const nativeClear = window[clearName];
+    const entries = new Map();
+
+    window[setName] = function(callback, ...args) {
+      const stack = captureStack();
+      if (typeof callback !== 'function' || !isThemeStack(stack)) {
+        return nativeSet.call(window, callback, ...args);
+      }
+
+      const id = nativeSet.call(window, function() {
+        if (once) {
+          trackedDisposables.delete(entries.get(id));
+          entries.delete(id);
+        }
+        return callback.apply(this, arguments);
+      }, ...args);
+
+      entries.set(id, trackDisposable(() => {
+        nativeClear.call(window, id);
+        entries.delete(id);
+      }, stack));
+      return id;
+    };
+
+    window[clearName] = function(id) {
+      trackedDisposables.delete(entries.get(id));
+      entries.delete(id);
+      return nativeClear.call(window, id);
+    };
+  }
+
+  wrapTimer('setTimeout', 'clearTimeout', { once: true });
+  wrapTimer('setInterval', 'clearInterval', { once: false });
+  wrapTimer('requestAnimationFrame', 'cancelAnimationFrame', { once: true });
+
+  /**
+   * Observers : disconnect() au reset
+   */
+  ['IntersectionObserver', 'ResizeObserver', 'MutationObserver'].forEach(name => {
+    const NativeObserver = window[name];
+    if (!NativeObserver) {
+      return;
+    }
+
+    function TrackedObserver(...args) {
+      const observer = Reflect.construct(NativeObserver, args, new.target || TrackedObserver);
+      const stack = captureStack();
+      if (isThemeStack(stack)) {
+        trackDisposable(() => observer.disconnect(), stack);
+      }
+      return observer;
+    }
+
+    TrackedObserver.prototype = NativeObserver.prototype;
+    window[name] = TrackedObserver;
+  });
+
+  /**
+   * Libère les ressources trackées (toutes, ou celles créées par un module)
+   * Callbacks onDispose en premier : ils peuvent encore avoir besoin du DOM (slider.destroy()...)
+   */
+  function disposeTrackedResources(modulePath = null) {
+    const entries = Array.from(trackedDisposables)
+      .filter(({ stack }) => !modulePath || stack.includes(modulePath));
+
+    if (DEBUG) console.log('[Vite HMR] Libération de', entries.length, 'ressources', modulePath || '');
+
+    entries.forEach(entry => {
+      trackedDisposables.delete(entry);
+      try {
+        entry.dispose();
+      } catch (e) {
+        console.error('[Vite HMR] Erreur dans un callback onDispose:', e);
+      }
+    });
+  }
+
+  /**
+   * Exécute un callback onInit ; une fonction retournée est enregistrée comme onDispose
+   */
+  function runInitCallback(callback, stack) {
+    try {
+      const dispose = callback();
+      if (typeof dispose === 'function') {
+        trackDisposable(dispose, stack);
+      }
+    } catch (e) {
+      console.error('[Vite HMR] Erreur dans un callback onInit:', e);
+    }
+  }
+
+  /**
+   * API de cycle de vie pour le code du thème (mode dev uniquement, d'où le ?. côté thème)
+   *
+   *   window.viteWp?.onDispose(() => swiper.destroy());
+   *   window.viteWp?.onInit(() => {
+   *     const swiper = new Swiper('.slider');
+   *     return () => swiper.destroy();
+   *   });
+   */
+  window.viteWp = Object.assign(window.viteWp || {}, {
+    // Appelé avant le prochain reset HMR
+    onDispose(callback) {
+      trackDisposable(callback, captureStack());
+    },
+
+    // Appelé quand le DOM est prêt : au chargement, puis après chaque reset (body restauré)
+    onInit(callback) {
+      const stack = captureStack();
+
+      if (pendingInitCallbacks) {
+        pendingInitCallbacks.push({ callback, stack });
+      } else if (document.readyState === 'loading') {
+        originalDocumentAddEventListener.call(document, 'DOMContentLoaded', () => runInitCallback(callback, stack), { once: true });
+      } else {
+        runInitCallback(callback, stack);
+      }
+    },
+  });
+
   /**
    * Nettoie tous les event listeners window/document trackés
    */
@@ -59,6 +260,41 @@
     trackedListeners = [];
   }
 
+  /**
+   * Nettoie les listeners window/document posés par un module (reset d'une zone)
+   */
+  function cleanModuleListeners(modulePath) {
+    trackedListeners = trackedListeners.filter(({ target, type, listener, options, stack }) => {
+      if (!stack.includes(modulePath)) {
+        return true;
+      }
+
+      try {
+        target.removeEventListener(type, listener, options);
+      } catch (e) {
+        // Ignorer les erreurs de nettoyage
+      }
+      return false;
+    });
+  }
+
+  /**
+   * Sauvegarde le HTML initial de chaque zone [data-hmr-boundary] à partir du HTML du body
+   */
+  function captureBoundarySnapshots(bodyHTML) {
+    const template = document.createElement('template');
+    template.innerHTML = bodyHTML;
+
+    boundarySnapshots = new Map();
+    template.content.querySelectorAll('[data-hmr-boundary]').forEach(element => {
+      const name = element.getAttribute('data-hmr-boundary');
+      if (!boundarySnapshots.has(name)) {
+        boundarySnapshots.set(name, []);
+      }
+      boundarySnapshots.get(name).push(element.outerHTML);
+    });
+  }
+
   /**
    * Sauvegarde le HTML du body et détecte les scripts JS Vite
    */
@@ -66,12 +302,13 @@
     // Sauvegarder le HTML du body
     if (!originalBodyHTML && document.body) {
       originalBodyHTML = document.body.innerHTML;
+      captureBoundarySnapshots(originalBodyHTML);
     }
 
-    // Détecter uniquement les scripts JS externes (type="module" avec src="/@fs/" et .js)
+    // Détecter uniquement les scripts JS externes (type="module" avec src="/@fs/" et .js/.ts...)
     const externalScripts = document.querySelectorAll('script[type="module"][src*="/@fs/"]');
     viteSourceScripts = Array.from(externalScripts)
-      .filter(script => script.src.endsWith('.js'))
+      .filter(script => JS_SOURCE_PATTERN.test(script.src.split('?')[0]))
       .map(script => ({
         src: script.src,
         path: script.src.split('/@fs/').pop()
@@ -88,15 +325,19 @@
 
     try {
       // 1. Sauvegarder la position du scroll
-      savedScrollPosition = {
-        x: window.scrollX || window.pageXOffset,
-        y: window.scrollY || window.pageYOffset
-      };
+      savedScrollPosition = saveScrollPosition();
       if (DEBUG) console.log('[Vite HMR] Position du scroll sauvegardée:', savedScrollPosition);
 
-      // 2. Nettoyer les event listeners window/document trackés
+      // Saisie des formulaires, focus, attributs d'état
+      const uiState = captureUiState();
+
+      // 2. Libérer ce que le thème a créé (onDispose, timers, observers) et nettoyer les listeners window/document
+      disposeTrackedResources();
       cleanTrackedListeners();
 
+      // Les onInit des scripts réinjectés attendent la restauration du body
+      pendingInitCallbacks = [];
+
       // 3. Supprimer les anciens scripts du thème du <head> (mais garder Vite client et hmr-body-reset.js)
       const timestamp = Date.now();
 
@@ -153,10 +394,16 @@
           });
           document.dispatchEvent(event);
 
+          // Body restauré : callbacks onInit des scripts réinjectés
+          const initCallbacks = pendingInitCallbacks || [];
+          pendingInitCallbacks = null;
+          initCallbacks.forEach(({ callback, stack }) => runInitCallback(callback, stack));
+
+          // Scripts initialisés : restaurer l'état de l'interface
+          restoreUiState(uiState);
+
           // 8. Restaurer la position du scroll après un court délai pour que les modules s'initialisent
-          setTimeout(() => {
-            window.scrollTo(savedScrollPosition.x, savedScrollPosition.y);
-          }, 50);
+          restoreScrollPosition(savedScrollPosition);
         }, 0);
       });
     } catch (error) {
@@ -164,6 +411,313 @@
     }
   }
 
+  /**
+   * Re-télécharge la page courante (même URL, mêmes cookies) et retourne le HTML de son body
+   * @returns {Promise<string|null>} null si WordPress est injoignable, lent ou en erreur
+   */
+  async function fetchFreshBodyHTML() {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), FRESH_BODY_TIMEOUT);
+
+    try {
+      const response = await fetch(window.location.href, {
+        credentials: 'same-origin',
+        cache: 'no-store',
+        headers: { 'X-Vite-WP-Fresh-Body': '1' },
+        signal: controller.signal,
+      });
+      const html = await response.text();
+
+      if (!response.ok || ERROR_PAGE_PATTERN.test(html)) {
+        if (DEBUG) console.log('[Vite HMR] Page en erreur (HTTP ' + response.status + '), HTML capturé utilisé');
+        return null;
+      }
+
+      return new DOMParser().parseFromString(html, 'text/html').body.innerHTML;
+    } catch (error) {
+      if (DEBUG) console.log('[Vite HMR] WordPress injoignable, HTML capturé utilisé:', error);
+      return null;
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  /**
+   * Chemin absolu d'un module à partir de son URL Vite (/@fs/chemin/absolu.js?t=...)
+   */
+  function getModulePath(url) {
+    return url.split('?')[0].split('/@fs/').pop().replace(/^\/+/, '');
+  }
+
+  /**
+   * Charge la configuration servie par accept-all-hmr.plugin.js
+   * Indisponible (plugin absent) : convention de nommage des zones et attributs d'état par défaut
+   */
+  function loadHmrConfig() {
+    if (!hmrConfigPromise) {
+      hmrConfigPromise = fetch(new URL('/__vite-wp/hmr-config', import.meta.url))
+        .then(response => response.ok ? response.json() : {})
+        .catch(() => ({}))
+        .then(config => {
+          hmrConfig = { ...hmrConfig, ...config };
+          return hmrConfig;
+        });
+    }
+    return hmrConfigPromise;
+  }
+
+  /**
+   * Sélecteur stable d'un élément : #id le plus proche, puis chemin tag:nth-of-type
+   * Le HTML restauré étant le même, le sélecteur retrouve l'élément équivalent
+   */
+  function getStableSelector(element) {
+    const parts = [];
+    let current = element;
+
+    while (current && current !== document.body) {
+      if (current.id) {
+        parts.unshift(`#${CSS.escape(current.id)}`);
+        return parts.join(' > ');
+      }
+
+      const parent = current.parentElement;
+      if (!parent) {
+        return null;
+      }
+
+      const index = Array.from(parent.children).filter(child => child.tagName === current.tagName).indexOf(current) + 1;
+      parts.unshift(`${current.tagName.toLowerCase()}:nth-of-type(${index})`);
+      current = parent;
+    }
+
+    return parts.length > 0 ? `body > ${parts.join(' > ')}` : null;
+  }
+
+  function isPreservable(element) {
+    return !element.closest(NO_PRESERVE_SELECTOR);
+  }
+
+  /**
+   * Capture l'état de l'interface avant un reset
+   * - Champs modifiés par l'utilisateur (valeur différente de celle du HTML)
+   * - Attributs d'état (open, aria-selected...)
+   * - Élément focus et sélection dans le champ
+   */
+  function captureUiState() {
+    const state = { fields: [], attributes: [], focus: null };
+
+    document.body.querySelectorAll('input, textarea, select').forEach(field => {
+      if (!isPreservable(field) || IGNORED_INPUT_TYPES.includes(field.type)) {
+        return;
+      }
+
+      let value = null;
+      if (field.type === 'checkbox' || field.type === 'radio') {
+        value = field.checked !== field.defaultChecked ? { checked: field.checked } : null;
+      } else if (field.tagName === 'SELECT') {
+        const options = Array.from(field.options);
+        value = options.some(option => option.selected !== option.defaultSelected)
+          ? { selected: options.map(option => option.selected) }
+          : null;
+      } else if (field.value !== field.defaultValue) {
+        value = { value: field.value };
+      }
+
+      const selector = value && getStableSelector(field);
+      if (selector) {
+        state.fields.push({ selector, ...value });
+      }
+    });
+
+    const attributes = hmrConfig.statefulAttributes || DEFAULT_STATEFUL_ATTRIBUTES;
+    attributes.forEach(name => {
+      const candidates = [`[${CSS.escape(name)}]`, STATEFUL_ATTRIBUTE_ELEMENTS[name]].filter(Boolean).join(', ');
+
+      document.body.querySelectorAll(candidates).forEach(element => {
+        const selector = isPreservable(element) && getStableSelector(element);
+        if (selector) {
+          state.attributes.push({ selector, name, value: element.getAttribute(name) });
+        }
+      });
+    });
+
+    const activeElement = document.activeElement;
+    if (activeElement && activeElement !== document.body && document.body.contains(activeElement) && isPreservable(activeElement)) {
+      const selector = getStableSelector(activeElement);
+      if (selector) {
+        state.focus = { selector };
+        try {
+          state.focus.selection = [activeElement.selectionStart, activeElement.selectionEnd, activeElement.selectionDirection];
+        } catch (e) {
+          // Pas de sélection sur ce type d'élément
+        }
+      }
+    }
+
+    return state;
+  }
+
+  /**
+   * Restaure l'état capturé (après l'initialisation des nouveaux scripts)
+   */
+  function restoreUiState(state) {
+    const find = selector => {
+      try {
+        return document.querySelector(selector);
+      } catch (e) {
+        return null;
+      }
+    };
+
+    state.fields.forEach(({ selector, value, checked, selected }) => {
+      const field = find(selector);
+      if (!field || !isPreservable(field)) return;
+
+      if (checked !== undefined) {
+        field.checked = checked;
+      } else if (selected !== undefined && field.tagName === 'SELECT') {
+        Array.from(field.options).forEach((option, index) => {
+          option.selected = selected[index] ?? option.selected;
+        });
+      } else if (value !== undefined && 'value' in field) {
+        field.value = value;
+      }
+    });
+
+    state.attributes.forEach(({ selector, name, value }) => {
+      const element = find(selector);
+      if (!element || !isPreservable(element) || element.getAttribute(name) === value) return;
+
+      if (value === null) {
+        element.removeAttribute(name);
+      } else {
+        element.setAttribute(name, value);
+      }
+    });
+
+    if (state.focus) {
+      const element = find(state.focus.selector);
+      if (element && typeof element.focus === 'function') {
+        element.focus({ preventScroll: true });
+        if (state.focus.selection) {
+          try {
+            element.setSelectionRange(...state.focus.selection);
+          } catch (e) {
+            // Pas de sélection sur ce type d'élément
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Zones d'un module : hmrBoundaries de vite-wp.config.js, sinon convention de nommage
+   * (slider.js → "slider", slider/index.js → "slider")
+   * Seules les zones présentes dans la page sont retenues
+   */
+  function getModuleBoundaries(modulePath, mapping) {
+    let names = mapping[modulePath];
+
+    if (!names) {
+      const segments = modulePath.split('/');
+      const fileName = segments.pop().replace(JS_SOURCE_PATTERN, '');
+      names = [fileName === 'index' ? segments.pop() : fileName];
+    }
+
+    return names.filter(name => boundarySnapshots.has(name));
+  }
+
+  /**
+   * Restaure les zones d'un module et ne réexécute que ce module
+   * @returns {Promise<boolean>} false si une zone ne peut pas être restaurée (reset complet nécessaire)
+   */
+  async function resetBoundaries(update, boundaries) {
+    const modulePath = getModulePath(update.path);
+
+    // Zones retirées ou dupliquées par le JS : impossible d'apparier avec le HTML initial
+    const targets = boundaries.map(name => ({
+      elements: Array.from(document.querySelectorAll(`[data-hmr-boundary="${CSS.escape(name)}"]`)),
+      snapshots: boundarySnapshots.get(name)
+    }));
+
+    if (targets.some(({ elements, snapshots }) => elements.length !== snapshots.length)) {
+      return false;
+    }
+
+    if (DEBUG) console.log('[Vite HMR] Reset des zones', boundaries, 'pour', modulePath);
+
+    const scrollPosition = saveScrollPosition();
+    const uiState = captureUiState();
+
+    // 1. Libérer les ressources et nettoyer les listeners window/document du module
+    disposeTrackedResources(modulePath);
+    cleanModuleListeners(modulePath);
+
+    // 2. Remplacer chaque zone par son HTML initial (supprime les listeners DOM de la zone)
+    targets.forEach(({ elements, snapshots }) => {
+      elements.forEach((element, index) => {
+        const template = document.createElement('template');
+        template.innerHTML = snapshots[index];
+        element.replaceWith(template.content.firstElementChild);
+      });
+    });
+
+    // 3. Réexécuter le module seul (cache-bust)
+    const firstNewListener = trackedListeners.length;
+    const separator = update.path.includes('?') ? '&' : '?';
+    await import(/* @vite-ignore */ new URL(`${update.path}${separator}t=${update.timestamp}`, import.meta.url).href);
+
+    // 4. DOMContentLoaded déjà passé : appeler directement les listeners posés par le module
+    const event = new Event('DOMContentLoaded');
+    trackedListeners.slice(firstNewListener)
+      .filter(({ type, stack }) => type === 'DOMContentLoaded' && stack.includes(modulePath))
+      .forEach(({ listener }) => {
+        typeof listener === 'function' ? listener.call(document, event) : listener.handleEvent(event);
+      });
+
+    restoreUiState(uiState);
+
+    restoreScrollPosition(scrollPosition);
+    return true;
+  }
+
+  /**
+   * Updates JS : reset des zones si tous les modules modifiés en ont une, sinon reset complet du body
+   */
+  async function handleJsUpdates(jsUpdates) {
+    // HTML à jour (changement PHP, contenu modifié dans l'admin) pour le body comme pour les zones
+    if (FRESH_BODY) {
+      const freshBodyHTML = await fetchFreshBodyHTML();
+      if (freshBodyHTML !== null) {
+        originalBodyHTML = freshBodyHTML;
+        captureBoundarySnapshots(freshBodyHTML);
+      }
+    }
+
+    try {
+      const { boundaries: mapping } = await loadHmrConfig();
+      const scopedUpdates = jsUpdates.map(update => ({
+        update,
+        boundaries: getModuleBoundaries(getModulePath(update.path), mapping || {})
+      }));
+
+      if (scopedUpdates.every(({ boundaries }) => boundaries.length > 0)) {
+        let allReset = true;
+        for (const { update, boundaries } of scopedUpdates) {
+          allReset = await resetBoundaries(update, boundaries) && allReset;
+        }
+
+        if (allReset) {
+          return;
+        }
+      }
+    } catch (error) {
+      console.error('[Vite HMR] Erreur lors du reset de zone, reset complet:', error);
+    }
+
+    resetBodyAndReinjectScripts();
+  }
+
   /**
    * Configuration du HMR Vite
    */
@@ -178,6 +732,9 @@
       // Ne rien faire - on ne veut pas se réinitialiser nous-mêmes
     });
 
+    // Configuration chargée d'avance : captureUiState() en a besoin de façon synchrone
+    loadHmrConfig();
+
     // Hook global pour forcer la réinitialisation (debug)
     window.__VITE_HMR_RESET__ = resetBodyAndReinjectScripts;
 
@@ -188,7 +745,7 @@
       // NE PAS réinitialiser pour les .scss, .css, ou hmr-body-reset.js
       const jsUpdates = payload.updates?.filter(update =>
         update.type === 'js-update' &&
-        update.path.endsWith('.js') &&
+        JS_SOURCE_PATTERN.test(update.path) &&
         !update.path.includes('.scss') &&
         !update.path.includes('.css') &&
         !update.path.includes('hmr-body-reset.js')
@@ -198,18 +755,25 @@
         // Empêcher le reload complet de Vite pour ces updates JS
         payload.updates = payload.updates.filter(update =>
           !(update.type === 'js-update' &&
-            update.path.endsWith('.js') &&
+            JS_SOURCE_PATTERN.test(update.path) &&
             !update.path.includes('.scss') &&
             !update.path.includes('.css') &&
             !update.path.includes('hmr-body-reset.js'))
         );
 
-        // Faire notre propre HMR
-        resetBodyAndReinjectScripts();
+        // Faire notre propre HMR (zone du module si déclarée, sinon body complet)
+        handleJsUpdates(jsUpdates);
       }
     });
   }
 
+  // Page morphée après un changement PHP (hmr-php-morph.js) : le HTML initial est périmé
+  // originalDocumentAddEventListener : listener non tracké, il doit survivre aux resets
+  originalDocumentAddEventListener.call(document, 'vite-wp:php-morph', (event) => {
+    originalBodyHTML = event.detail.bodyHTML;
+    captureBoundarySnapshots(originalBodyHTML);
+  });
+
   // Initialisation au chargement du DOM
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', () => {
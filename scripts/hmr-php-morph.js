@@ -0,0 +1,236 @@
+/**
+ * Vite HMR PHP Morph Helper
+ *
+ * Script injecté sur le front quand PHP_MORPH=true :
+ * - Reçoit l'événement vite-wp:php-update (envoyé par php-reload.plugin.js à la place du full-reload)
+ * - Re-télécharge l'URL courante et applique les différences au DOM en place (<body>, <title>, <meta>)
+ * - Conserve le scroll, les menus ouverts, les champs saisis : seul ce que le PHP a changé est touché
+ * - Reload complet si WordPress renvoie une page d'erreur ou si les assets du <head> ont changé
+ *
+ * Morph à trois voies : le HTML serveur précédent sert de référence.
+ * Un nœud dont le HTML serveur n'a pas changé est laissé tel quel, même si le JS l'a modifié
+ * (classe is-open, attributs aria-*, valeur d'un champ...).
+ */
+
+import { saveScrollPosition, restoreScrollPosition } from './hmr-scroll.js';
+
+(function() {
+  'use strict';
+
+  if (!import.meta.hot) {
+    return;
+  }
+
+  // Mode debug (mettre à false pour désactiver les logs détaillés)
+  const DEBUG = false;
+
+  // Marqueurs d'erreur PHP / WordPress dans le HTML renvoyé
+  const ERROR_PAGE_PATTERN = /<b>(?:Fatal error|Parse error|Warning|Notice|Deprecated)<\/b>:|<body[^>]*id=["']error-page["']|class=["']wp-die-message["']/i;
+
+  // HTML serveur de référence (avant le premier morph : état au chargement, avant l'exécution du JS du thème)
+  let previousDocument = new DOMParser().parseFromString(document.documentElement.outerHTML, 'text/html');
+
+  // Évite deux morphs simultanés (sauvegardes rapprochées)
+  let morphInProgress = false;
+  let morphPending = false;
+
+  /**
+   * Liste des assets du <head> (CSS, scripts, preloads)
+   * Comparée entre deux réponses serveur : les balises ajoutées par le JS ou le HMR (?t=) n'interviennent pas
+   */
+  function getHeadAssets(doc) {
+    const urls = Array.from(doc.head.querySelectorAll('link[rel="stylesheet"][href], link[rel="modulepreload"][href], script[src]'))
+      .map(element => element.getAttribute('href') || element.getAttribute('src'));
+
+    return Array.from(new Set(urls)).sort().join('\n');
+  }
+
+  /**
+   * Synchronise les attributs modifiés côté serveur (référence → nouveau HTML)
+   */
+  function morphAttributes(liveElement, baseElement, newElement) {
+    for (const { name, value } of Array.from(newElement.attributes)) {
+      if (baseElement.getAttribute(name) !== value) {
+        liveElement.setAttribute(name, value);
+      }
+    }
+
+    for (const { name } of Array.from(baseElement.attributes)) {
+      if (!newElement.hasAttribute(name)) {
+        liveElement.removeAttribute(name);
+      }
+    }
+  }
+
+  /**
+   * Même structure (nombre et type des enfants) : les nœuds peuvent être appariés par position
+   */
+  function haveSameStructure(firstNodes, secondNodes) {
+    return firstNodes.length === secondNodes.length &&
+      firstNodes.every((node, index) => node.nodeName === secondNodes[index].nodeName);
+  }
+
+  /**
+   * Morph d'un élément : live = DOM actuel, base = HTML serveur précédent, new = HTML serveur actuel
+   */
+  function morphElement(liveElement, baseElement, newElement) {
+    // HTML serveur inchangé : garder l'état du DOM (modifications JS comprises)
+    if (baseElement.isEqualNode(newElement)) {
+      return;
+    }
+
+    morphAttributes(liveElement, baseElement, newElement);
+
+    // Scripts : ne jamais réexécuter ni modifier
+    if (liveElement.nodeName === 'SCRIPT') {
+      return;
+    }
+
+    const liveChildren = Array.from(liveElement.childNodes);
+    const baseChildren = Array.from(baseElement.childNodes);
+    const newChildren = Array.from(newElement.childNodes);
+
+    // Structure modifiée (par le PHP ou par le JS) : remplacer les enfants de cet élément uniquement
+    if (!haveSameStructure(baseChildren, newChildren) || !haveSameStructure(liveChildren, baseChildren)) {
+      if (DEBUG) console.log('[Vite PHP Morph] Remplacement des enfants de', liveElement);
+      liveElement.replaceChildren(...newChildren.map(child => document.importNode(child, true)));
+      return;
+    }
+
+    newChildren.forEach((newChild, index) => {
+      const liveChild = liveChildren[index];
+      const baseChild = baseChildren[index];
+
+      if (newChild.nodeType === Node.ELEMENT_NODE) {
+        morphElement(liveChild, baseChild, newChild);
+      } else if (baseChild.nodeValue !== newChild.nodeValue) {
+        liveChild.nodeValue = newChild.nodeValue;
+      }
+    });
+  }
+
+  /**
+   * Clé d'une balise <meta> (name, property ou http-equiv)
+   */
+  function getMetaKey(meta) {
+    for (const attribute of ['name', 'property', 'http-equiv']) {
+      if (meta.hasAttribute(attribute)) {
+        return `${attribute}=${meta.getAttribute(attribute)}`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Met à jour <title> et les <meta> nommées du <head>
+   */
+  function morphHead(newDocument) {
+    if (document.title !== newDocument.title) {
+      document.title = newDocument.title;
+    }
+
+    const liveMetas = new Map();
+    document.head.querySelectorAll('meta').forEach(meta => {
+      const key = getMetaKey(meta);
+      if (key) liveMetas.set(key, meta);
+    });
+
+    newDocument.head.querySelectorAll('meta').forEach(meta => {
+      const key = getMetaKey(meta);
+      if (!key) return;
+
+      const liveMeta = liveMetas.get(key);
+      if (liveMeta) {
+        if (liveMeta.getAttribute('content') !== meta.getAttribute('content')) {
+          liveMeta.setAttribute('content', meta.getAttribute('content') ?? '');
+        }
+        liveMetas.delete(key);
+      } else {
+        document.head.appendChild(document.importNode(meta, true));
+      }
+    });
+
+    // Meta retirées par le PHP
+    liveMetas.forEach(meta => meta.remove());
+  }
+
+  /**
+   * Re-télécharge la page et applique les changements, reload complet en cas de doute
+   */
+  async function morphPage() {
+    const response = await fetch(window.location.href, {
+      credentials: 'same-origin',
+      cache: 'no-store',
+      headers: { 'X-Vite-WP-Morph': '1' },
+    });
+
+    const html = await response.text();
+
+    if (!response.ok || ERROR_PAGE_PATTERN.test(html)) {
+      if (DEBUG) console.log('[Vite PHP Morph] Page d\'erreur (HTTP ' + response.status + ') → reload complet');
+      return false;
+    }
+
+    // Redirection vers une autre page : le morph n'a pas de sens
+    if (response.redirected && response.url !== window.location.href) {
+      return false;
+    }
+
+    const newDocument = new DOMParser().parseFromString(html, 'text/html');
+
+    if (getHeadAssets(newDocument) !== getHeadAssets(previousDocument)) {
+      if (DEBUG) console.log('[Vite PHP Morph] Assets du <head> modifiés → reload complet');
+      return false;
+    }
+
+    // Erreur de syntaxe PHP corrigée : fermer l'overlay affiché par php-reload.plugin.js
+    document.querySelectorAll('vite-error-overlay').forEach(overlay => overlay.close());
+
+    const scrollPosition = saveScrollPosition();
+
+    morphHead(newDocument);
+    morphElement(document.body, previousDocument.body, newDocument.body);
+
+    previousDocument = newDocument;
+
+    // Permet au thème (et à hmr-body-reset.js) de se resynchroniser
+    document.dispatchEvent(new CustomEvent('vite-wp:php-morph', {
+      detail: { bodyHTML: newDocument.body.innerHTML }
+    }));
+
+    restoreScrollPosition(scrollPosition, 0);
+    return true;
+  }
+
+  async function handlePhpUpdate() {
+    if (morphInProgress) {
+      morphPending = true;
+      return;
+    }
+
+    morphInProgress = true;
+
+    try {
+      do {
+        morphPending = false;
+        if (!await morphPage()) {
+          window.location.reload();
+          return;
+        }
+      } while (morphPending);
+    } catch (error) {
+      console.error('[Vite PHP Morph] Erreur lors du morph, reload complet:', error);
+      window.location.reload();
+    } finally {
+      morphInProgress = false;
+    }
+  }
+
+  // Accepter les changements de ce module sans callback
+  import.meta.hot.accept(() => {});
+
+  import.meta.hot.on('vite-wp:php-update', (data) => {
+    if (DEBUG) console.log('[Vite PHP Morph] Fichiers PHP modifiés:', data?.files);
+    handlePhpUpdate();
+  });
+})();
@@ -0,0 +1,25 @@
+/**
+ * Position du scroll pendant un remplacement du DOM
+ *
+ * Partagé par hmr-body-reset.js (reset du body sur update JS)
+ * et hmr-php-morph.js (morph de la page sur changement PHP)
+ */
+
+/**
+ * Sauvegarde la position du scroll
+ */
+export function saveScrollPosition() {
+  return {
+    x: window.scrollX || window.pageXOffset,
+    y: window.scrollY || window.pageYOffset
+  };
+}
+
+/**
+ * Restaure la position du scroll après un court délai (le temps que les modules s'initialisent)
+ */
+export function restoreScrollPosition(position, delay = 50) {
+  setTimeout(() => {
+    window.scrollTo(position.x, position.y);
+  }, delay);
+}
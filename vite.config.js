@@ -1,11 +1,13 @@
 import { defineConfig } from 'vite';
-import { PATHS, WATCH_PHP, BUILD_FOLDER, HMR_BODY_RESET } from './paths.config.js';
+import { PATHS, WATCH_PHP, BUILD_FOLDER, HMR_BODY_RESET, DEV_MODE, HASHED_FILENAMES, MINIFIED_LIBS, PROJECT_CONFIG, isPluginEnabled } from './paths.config.js';
 import { postcssUrlRewrite } from './plugins/postcss-url-rewrite.plugin.js';
 import { phpReloadPlugin } from './plugins/php-reload.plugin.js';
 import {
   detectAssetsFromWordPress,
   generateRollupInputs,
-  detectBuildStructure
+  splitRollupInputsByFormat,
+  detectBuildStructure,
+  logEntryOrigins
 } from './plugins/wordpress-assets-detector.plugin.js';
 import { portKillerPlugin } from './plugins/port-killer.plugin.js';
 import { cleanupMuPluginOnClose } from './plugins/cleanup-mu-plugin.js';
@@ -13,9 +15,23 @@ import { acceptAllHMRPlugin } from './plugins/accept-all-hmr.plugin.js';
 import { generateMuPluginPlugin } from './plugins/generate-mu-plugin.js';
 import { copyMinifiedLibsPlugin } from './plugins/copy-minified-libs.plugin.js';
 import { copyStaticAssetsPlugin } from './plugins/copy-static-assets.plugin.js';
+import { buildClassicScriptsPlugin } from './plugins/build-classic-scripts.plugin.js';
+import { wordpressGlobalsPlugin, WORDPRESS_SCRIPT_MODULES } from './plugins/wordpress-globals.plugin.js';
 import { serveStaticAssetsPlugin } from './plugins/serve-static-assets.plugin.js';
+import { wordpressProxyPlugin } from './plugins/wordpress-proxy.plugin.js';
+import { hashedFilenamesPlugin, HASH_PLACEHOLDER } from './plugins/hashed-filenames.plugin.js';
+import { assetVersionsPlugin } from './plugins/asset-versions.plugin.js';
 import sassGlobImports from 'vite-plugin-sass-glob-import';
-import { resolve } from 'path';
+import { resolve, isAbsolute } from 'path';
+
+// Options projet (vite-wp.config.js) : alias et externals ajoutés à ceux du bundler
+const { aliases: projectAliases = {}, externals: projectExternals = [] } = PROJECT_CONFIG.config;
+
+// Noms hashés (HASHED_FILENAMES=true) : main.min.js → main.min.a1b2c3d4.js
+const hashSuffix = HASHED_FILENAMES ? `.${HASH_PLACEHOLDER}` : '';
+
+// Libs .min.js concaténées (minifiedLibs: 'concat') dans les scripts classiques, copiées pour les modules ES
+const concatMinifiedLibs = MINIFIED_LIBS === 'concat' && isPluginEnabled('copyMinifiedLibs');
 
 export default defineConfig(async ({ command }) => {
   // console.log('[Vite Config] Command:', command);
@@ -25,6 +41,16 @@ export default defineConfig(async ({ command }) => {
   let detectedAssets = null;
   let buildStructure = null;
 
+  // Passe IIFE d'un script classique, relancée par buildClassicScriptsPlugin après la passe principale
+  const classicEntry = process.env.VITE_WP_CLASSIC_ENTRY || null;
+
+  // Build continu (npm run build:watch) : passes en mode watch, dossier vidé une seule fois par scripts/build-watch.js
+  const watchMode = command === 'build' && process.env.VITE_WP_WATCH === '1';
+
+  // Entrée construite en IIFE par cette passe, et scripts classiques restants (passes suivantes)
+  let iifeEntry = null;
+  let classicEntries = [];
+
   // En mode build, détecter les assets depuis WordPress
   if (command === 'build') {
     // console.log('[Vite Config] Mode build détecté, lancement du scan...');
@@ -36,8 +62,28 @@ export default defineConfig(async ({ command }) => {
     buildFolder = buildFolder.replace(/^\//, '');
     rollupInputs = generateRollupInputs(detectedAssets);
 
+    // Entrées détectées vs déclarées dans vite-wp.config.js (passe principale uniquement)
+    if (!classicEntry) {
+      logEntryOrigins(detectedAssets);
+    }
+
     // Détecter la structure du dossier de build (flat vs sous-dossiers)
-    buildStructure = detectBuildStructure();
+    // Les passes classiques reprennent celle de la passe principale (le dossier vient d'être vidé)
+    buildStructure = classicEntry
+      ? JSON.parse(process.env.VITE_WP_BUILD_STRUCTURE)
+      : detectBuildStructure();
+
+    // Modules ES et styles dans la passe principale, scripts classiques en IIFE (une passe chacun)
+    // Sans aucun module ES, la passe principale construit elle-même le premier script classique
+    const { moduleInputs, classicInputs } = splitRollupInputsByFormat(rollupInputs, detectedAssets);
+    iifeEntry = classicEntry
+      || (Object.keys(moduleInputs).length === 0 ? Object.keys(classicInputs)[0] || null : null);
+
+    rollupInputs = iifeEntry ? { [iifeEntry]: classicInputs[iifeEntry] } : moduleInputs;
+
+    if (!classicEntry) {
+      classicEntries = Object.keys(classicInputs).filter(name => name !== iifeEntry);
+    }
   }
 
   return {
@@ -85,18 +131,41 @@ export default defineConfig(async ({ command }) => {
   // Plugins Vite
   plugins: [
     // Plugin pour supporter les globs SCSS (@import "vendors/*.scss")
-    sassGlobImports(),
+    ...(isPluginEnabled('sassGlobImports') ? [sassGlobImports()] : []),
+
+    // Plugin pour mapper @wordpress/*, react, jquery... vers les globals WordPress (wp.element, React, jQuery)
+    // Dev + Build : imports réécrits en globals
+    // Build : génère name.asset.php (dependencies + version) à côté de chaque entrée JS
+    ...(isPluginEnabled('wordpressGlobals') ? [wordpressGlobalsPlugin()] : []),
 
     // Plugin pour copier les assets statiques
     // Dev : NE RIEN FAIRE - Les assets sont servis via serveStaticAssetsPlugin
-    // Build : scanne et copie seulement ce qui est utilisé dans dist/
-    copyStaticAssetsPlugin(command),
+    // Build : scanne et copie seulement ce qui est utilisé dans dist/ (passe principale uniquement)
+    ...(!classicEntry && isPluginEnabled('copyStaticAssets') ? [copyStaticAssetsPlugin(command)] : []),
+
+    // Plugin pour construire les scripts classiques (wp_enqueue_script) en IIFE autonomes
+    // Build : une passe Vite par script après la passe principale
+    // Build continu : chaque passe classique reste en watch et ne se reconstruit que pour ses propres sources
+    ...(classicEntries.length > 0 ? [buildClassicScriptsPlugin(classicEntries, buildStructure)] : []),
+
+    // Plugin pour les noms de fichiers hashés (HASHED_FILENAMES=true dans .env)
+    // Build : manifest.json (sans hash → hashé) + vite-manifest.php qui sert le fichier hashé à WordPress
+    ...(command === 'build' && HASHED_FILENAMES ? [hashedFilenamesPlugin()] : []),
+
+    // Plugin pour les versions des assets
+    // Build : versions.php (fichier → hash du contenu) à passer en $ver aux enqueues
+    ...(command === 'build' && isPluginEnabled('assetVersions') ? [assetVersionsPlugin()] : []),
 
     // Plugin pour servir les assets statiques en mode dev
     // Dev : Middleware qui sert fonts/, images/, inc/ etc. depuis le thème
     // Build : désactivé (les assets sont copiés par copyStaticAssetsPlugin)
     ...(command === 'serve' ? [serveStaticAssetsPlugin()] : []),
 
+    // Plugin pour servir WordPress à travers Vite (DEV_MODE=proxy dans .env)
+    // Dev : relaye les requêtes vers PATHS.wpUrl, réécrit le HTML (assets de build → sources Vite)
+    // Déclaré après serveStaticAssetsPlugin : ses middlewares passent en premier
+    ...(command === 'serve' && DEV_MODE === 'proxy' ? [wordpressProxyPlugin()] : []),
+
     // Plugin pour gérer le MU-plugin WordPress
     // Dev : Génère le MU-plugin pour injecter Vite HMR
     // Build : Supprime le MU-plugin pour utiliser les assets de build
@@ -108,8 +177,9 @@ export default defineConfig(async ({ command }) => {
     ...(command === 'serve' && HMR_BODY_RESET ? [acceptAllHMRPlugin()] : []),
 
     // Plugin pour libérer automatiquement le port Vite en mode dev
-    // Tue uniquement les processus Node.js qui bloquent VITE_PORT
-    ...(command === 'serve' ? [portKillerPlugin(PATHS.vitePort)] : []),
+    // Tue uniquement les processus Node.js qui bloquent VITE_PORT (Windows, macOS, Linux)
+    // Port pris par un autre programme : repli sur le port libre suivant (hook config, avant le MU-plugin)
+    ...(command === 'serve' && isPluginEnabled('portKiller') ? [portKillerPlugin(PATHS.vitePort)] : []),
 
     // Plugin pour nettoyer le MU-plugin quand Vite s'arrête (Ctrl+C)
     ...(command === 'serve' ? [cleanupMuPluginOnClose()] : []),
@@ -211,25 +281,43 @@ export default defineConfig(async ({ command }) => {
 
   // Résolution des modules
   resolve: {
+    // Alias vers les dossiers détectés (ou imposés par folders dans vite-wp.config.js)
     alias: {
       '@': PATHS.themePath,
-      '@js': resolve(PATHS.themePath, 'js'),
-      '@css': resolve(PATHS.themePath, 'css'),
-      '@scss': resolve(PATHS.themePath, 'scss'),
-      '@images': resolve(PATHS.themePath, 'images'),
-      '@fonts': resolve(PATHS.themePath, 'fonts'),
+      '@js': resolve(PATHS.themePath, PATHS.assetFolders.js),
+      '@css': resolve(PATHS.themePath, PATHS.assetFolders.css),
+      '@scss': resolve(PATHS.themePath, PATHS.assetFolders.scss),
+      '@images': resolve(PATHS.themePath, PATHS.assetFolders.images || 'images'),
+      '@fonts': resolve(PATHS.themePath, PATHS.assetFolders.fonts || 'fonts'),
       '@bundler': PATHS.bundlerRoot,
+
+      // Alias de vite-wp.config.js : chemins relatifs au thème
+      ...Object.fromEntries(Object.entries(projectAliases).map(([alias, path]) => [
+        alias,
+        isAbsolute(path) ? path : resolve(PATHS.themePath, path),
+      ])),
     },
-    extensions: ['.js', '.json', '.scss', '.css'],
+    extensions: ['.js', '.ts', '.tsx', '.jsx', '.json', '.scss', '.css'],
+  },
+
+  // Compilation TypeScript/JSX (.ts, .tsx, .jsx) par esbuild
+  // JSX runtime automatique : react/jsx-runtime est ensuite mappé vers le global ReactJSXRuntime de WordPress
+  // jsxDev désactivé en dev : ReactJSXRuntime n'expose pas jsxDEV
+  esbuild: {
+    jsx: 'automatic',
+    jsxDev: false,
   },
 
   // Configuration du build (pour production)
   build: {
     outDir: resolve(PATHS.themePath, buildFolder), // Utilise le dossier détecté depuis functions.php
     assetsDir: '', // Pas de sous-dossier assets/
-    emptyOutDir: true,
+    emptyOutDir: !classicEntry && !watchMode, // Les passes classiques complètent la passe principale
 
-    // Pas de manifest (pas de hash, pas de correspondance nécessaire)
+    // Build continu : Rollup ne recompile que les modules modifiés (npm run build:watch)
+    watch: watchMode ? {} : null,
+
+    // Pas de manifest Vite : avec HASHED_FILENAMES, hashedFilenamesPlugin écrit le sien (noms sans hash → hashés)
     manifest: false,
 
     // Configuration Rollup
@@ -240,33 +328,48 @@ export default defineConfig(async ({ command }) => {
 
       // Plugins Rollup
       plugins: [
-        // Copier les fichiers .min.js dans le dossier de build
-        copyMinifiedLibsPlugin(),
+        // Libs .min.js importées par les modules ES : copiées avec leur arborescence (passe principale)
+        // Scripts classiques (IIFE) : concaténées en tête du fichier qui les importe en mode concat,
+        // bundlées sans tree-shaking sinon
+        ...(isPluginEnabled('copyMinifiedLibs')
+          ? [copyMinifiedLibsPlugin({
+            mode: iifeEntry ? (concatMinifiedLibs ? 'concat' : 'bundle') : 'copy',
+            isFlat: !!buildStructure?.isFlat,
+          })]
+          : []),
       ],
 
       // Entrées dynamiques détectées depuis WordPress
       input: rollupInputs,
       output: {
-        // Format ESM pour les modules modernes
-        format: 'es',
+        // Format ESM pour les modules (wp_enqueue_script_module)
+        // IIFE autonome pour les scripts classiques (wp_enqueue_script) : ni import ni export
+        format: iifeEntry ? 'iife' : 'es',
+        inlineDynamicImports: !!iifeEntry,
 
-        // Nommage sans hash, avec .min et préservation de la structure
-        chunkFileNames: '[name].min.js',
+        // Nommage avec .min et préservation de la structure (hash seulement avec HASHED_FILENAMES)
+        chunkFileNames: `[name].min${hashSuffix}.js`,
         entryFileNames: (chunkInfo) => {
           // Support des structures plates et avec sous-dossiers
           // Le séparateur § est utilisé pour distinguer les segments de path des tirets dans les noms
+          // Entrées de blocs (block.json) : chemin complet préservé dans toutes les structures
+          // Ex: blocks/hero/index → blocks/hero/index.min.js
+          if (chunkInfo.name.includes('/')) {
+            return `${chunkInfo.name}.min${hashSuffix}.js`;
+          }
+
           if (buildStructure && buildStructure.isFlat) {
             // Structure plate : pas de sous-dossiers
             // Ex: js§main → main.min.js
             // Ex: js-src§app-main → app-main.min.js (préserve les tirets)
             const nameWithoutFolder = chunkInfo.name.split('§').pop();
-            return `${nameWithoutFolder}.min.js`;
+            return `${nameWithoutFolder}.min${hashSuffix}.js`;
           }
           // Structure avec sous-dossiers : restaurer la structure depuis le nom de l'entrée
           // Ex: js§main → js/main.min.js
           // Ex: js-src§app-main → js-src/app-main.min.js (préserve les tirets)
           const name = chunkInfo.name.replace(/§/g, '/');
-          return `${name}.min.js`;
+          return `${name}.min${hashSuffix}.js`;
         },
         assetFileNames: (assetInfo) => {
           // Pour les CSS, utiliser le dossier détecté dynamiquement
@@ -279,40 +382,35 @@ export default defineConfig(async ({ command }) => {
               .replace('.css', '')
               .split('§').pop();  // Retirer tout ce qui est avant le § (quel que soit le dossier source)
 
+            // Styles de blocs (block.json) : chemin complet préservé
+            // Ex: blocks/hero/style.css → blocks/hero/style.min.css
+            if (baseName.includes('/')) {
+              return `${baseName}.min${hashSuffix}.css`;
+            }
+
             // Support des structures plates et avec sous-dossiers
             if (buildStructure && buildStructure.isFlat) {
               // Structure plate : pas de sous-dossiers CSS
-              return `${baseName}.min.css`;
+              return `${baseName}.min${hashSuffix}.css`;
             }
             // Structure avec sous-dossiers CSS - utiliser buildFolder dynamique
-            return `css/${baseName}.min.css`;
+            return `css/${baseName}.min${hashSuffix}.css`;
           }
           // Pour les autres assets (fonts, images, etc.) : pas de .min, conserver le nom original
           return '[name].[ext]';
         },
-        // Réécrire les chemins des imports externes (.min.js)
-        // Les fichiers sont copiés à plat dans le dossier de sortie
-        paths: (id) => {
-          const normalizedPath = id.replace(/\\/g, '/');
-
-          // Traiter uniquement les imports .min.js (libs externes)
-          if (!normalizedPath.endsWith('.min.js')) {
-            return id;
-          }
-
-          // Extraire juste le nom de fichier
-          const fileName = normalizedPath.split('/').pop();
-
-          // Retourner le chemin relatif depuis le fichier bundlé vers le fichier copié
-          // Les fichiers .min.js sont dans le même dossier que les fichiers bundlés
-          return `./${fileName}`;
-        },
       },
       // Marquer les dépendances externes (non incluses dans le bundle)
-      external: (id) => {
-        // Détecter les libs par patterns de noms de packages NPM
-        const libPackages = ['jquery', 'desandro-matches-selector', 'ev-emitter', 'get-size', 'fizzy-ui-utils', 'outlayer'];
-        if (libPackages.includes(id)) return true;
+      // Les globals WordPress (jquery, react, @wordpress/*) sont déjà réécrits par wordpressGlobalsPlugin
+      external: (id, importer, isResolved) => {
+        // Script classique autonome : tout est bundlé
+        if (iifeEntry) return false;
+
+        // Script modules WordPress (@wordpress/interactivity) : résolus par l'importmap de WordPress
+        if (WORDPRESS_SCRIPT_MODULES.includes(id)) return true;
+
+        // Externals de vite-wp.config.js (nom exact ou RegExp)
+        if (projectExternals.some(external => external instanceof RegExp ? external.test(id) : external === id)) return true;
 
         // Normaliser le chemin
         const normalizedId = id.replace(/\\/g, '/');
@@ -320,8 +418,9 @@ export default defineConfig(async ({ command }) => {
         // Détecter node_modules
         if (normalizedId.includes('/node_modules/')) return true;
 
-        // Détecter les fichiers .min.js (libs externes)
-        if (normalizedId.endsWith('.min.js')) return true;
+        // Détecter les fichiers .min.js (libs externes, imports réécrits par copyMinifiedLibsPlugin)
+        // Une fois résolus seulement : ../_libs/a.min.js désigne des fichiers différents selon l'importeur
+        if (normalizedId.endsWith('.min.js')) return isResolved;
 
         return false;
       },